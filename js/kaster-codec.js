@@ -0,0 +1,1213 @@
+/**
+ * =======================================================================================
+ * Kaster Protocol - Payload Codec
+ * =======================================================================================
+ * Standalone definition of the Kaster wire format: encoding, decoding and validation
+ * of transaction payloads, plus the hex helpers they rely on.
+ *
+ * The module has no dependency on the DOM, IndexedDB or the network. The web interface
+ * loads it with a plain <script> tag (it is then exposed as `window.kasterCodec`), and
+ * Node tools such as indexers or bots can require the very same file:
+ *
+ *     const kasterCodec = require('./js/kaster-codec.js');
+ *     const bytes = kasterCodec.encodeThreadPayload({ title: 'Hello', message: 'World' });
+ *     const decoded = await kasterCodec.decodePayload(kasterCodec.bytesToHex(bytes));
+ *
+ * =======================================================================================
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.kasterCodec = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const PROTOCOL_VERSION = 4; // Fixed-layout version, still written when no extension field is needed
+    const EXTENSIBLE_VERSION = 5; // Fixed layout followed by a TLV extension area
+    const SUPPORTED_VERSIONS = [PROTOCOL_VERSION, EXTENSIBLE_VERSION];
+    const MAX_TITLE_BYTES = 40, MAX_MESSAGE_BYTES = 400;
+    // A compressed body never expands past this (guards against decompression bombs)
+    const MAX_DECOMPRESSED_MESSAGE_BYTES = MAX_MESSAGE_BYTES * 10;
+    const TXID_BYTES = 32;
+    const ROOT_PARENT_TXID = '0'.repeat(TXID_BYTES * 2); // parentTxid of a new thread
+
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    // =================================================================
+    // --- Hex helpers ---
+    // =================================================================
+    function isHex(value) {
+        return typeof value === 'string' && value.length % 2 === 0 && /^[0-9a-fA-F]*$/.test(value);
+    }
+
+    function hexToBytes(hex) {
+        if (!isHex(hex)) throw new Error('Invalid hex string.');
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function isTxid(value) {
+        return isHex(value) && value.length === TXID_BYTES * 2;
+    }
+
+    // Some Kaspa API responses return the payload hex itself hex-encoded as ASCII
+    // ("04..." becomes "3034..."). Undo that before decoding.
+    function normalizePayloadHex(payloadHex) {
+        if (!payloadHex.startsWith('30') && !payloadHex.startsWith('34')) return payloadHex;
+
+        let decodedString = '';
+        for (let i = 0; i < payloadHex.length; i += 2) {
+            decodedString += String.fromCharCode(parseInt(payloadHex.substring(i, i + 2), 16));
+        }
+
+        // Only use it if it looks like valid hex
+        if (/^[0-9a-fA-F]+$/.test(decodedString) && decodedString.length >= 70) {
+            return decodedString;
+        }
+        return payloadHex;
+    }
+
+    // =================================================================
+    // --- Extension fields (version 5) ---
+    // A v5 payload carries the v4 fixed fields followed by zero or more
+    // type-length-value entries: type (uint8), length (uint16 BE), value.
+    // Known types are decoded into `extensions` by name; unknown types are
+    // kept verbatim in `unknownFields` so that newer fields survive older clients.
+    // =================================================================
+    const extensionFieldsByType = new Map();
+    const extensionFieldsByName = new Map();
+
+    /**
+     * Registers a named extension field.
+     * `encode(value)` must return a Uint8Array, `decode(bytes)` must return the value
+     * or throw when the bytes are malformed. The optional `validate(value)` returns an
+     * error message (or null) and is used by validatePayload().
+     */
+    function defineExtensionField(type, name, { encode, decode, validate = () => null }) {
+        if (!Number.isInteger(type) || type < 1 || type > 255) throw new Error(`Invalid extension type: ${type}`);
+        if (extensionFieldsByType.has(type)) throw new Error(`Extension type ${type} already defined.`);
+        if (extensionFieldsByName.has(name)) throw new Error(`Extension field "${name}" already defined.`);
+
+        const field = { type, name, encode, decode, validate };
+        extensionFieldsByType.set(type, field);
+        extensionFieldsByName.set(name, field);
+        return field;
+    }
+
+    function hasExtensionData(payload) {
+        return Object.keys(payload.extensions).length > 0 || payload.unknownFields.length > 0;
+    }
+
+    // =================================================================
+    // --- Protocol extension fields ---
+    // Type | Name        | Value
+    // 1    | chunk       | part index (uint8), part count (uint8), root TXID (32 bytes, parts > 0 only)
+    // 2    | compression | algorithm (uint8, 1 = deflate-raw); the message field holds the compressed body
+    // 3    | edit        | target TXID (32 bytes); title/message replace the target's
+    // 4    | retraction  | target TXID (32 bytes); the author withdraws the target
+    // 5    | reaction    | target TXID (32 bytes), emoji code (uint8, see REACTION_EMOJIS)
+    // 6    | poll        | closing time (uint32 unix seconds, 0 = open), option count (uint8), options (uint8 length + UTF-8 each)
+    // 7    | vote        | poll TXID (32 bytes), option index (uint8)
+    // 8    | replyTo     | TXID (32 bytes) of the reply being answered
+    // 9    | quote       | quoted TXID (32 bytes), byte range start and end (uint16 each) in its message
+    // =================================================================
+    const MAX_CHUNKS = 8; // A long message spans at most MAX_CHUNKS transactions
+    const MIN_POLL_OPTIONS = 2, MAX_POLL_OPTIONS = 8, MAX_POLL_OPTION_BYTES = 40;
+
+    // A message longer than MAX_MESSAGE_BYTES is split over several transactions.
+    // Part 0 is a regular thread or reply; parts 1..n-1 ("continuations") repeat its
+    // parentTxid and point back to it through the root TXID.
+    defineExtensionField(1, 'chunk', {
+        validate({ index, total, rootTxid } = {}) {
+            if (!Number.isInteger(total) || total < 2 || total > MAX_CHUNKS) return `Chunk count must be between 2 and ${MAX_CHUNKS}.`;
+            if (!Number.isInteger(index) || index < 0 || index >= total) return 'Chunk index out of range.';
+            if (index > 0 && !isTxid(rootTxid)) return 'Continuation chunks need the root TXID.';
+            return null;
+        },
+        encode({ index, total, rootTxid }) {
+            const bytes = new Uint8Array(index > 0 ? 2 + TXID_BYTES : 2);
+            bytes[0] = index;
+            bytes[1] = total;
+            if (index > 0) bytes.set(hexToBytes(rootTxid), 2);
+            return bytes;
+        },
+        decode(bytes) {
+            if (bytes.length !== 2 && bytes.length !== 2 + TXID_BYTES) throw new Error(`unexpected length ${bytes.length}.`);
+            const [index, total] = bytes;
+            if (total < 2 || total > MAX_CHUNKS || index >= total) throw new Error(`part ${index} of ${total}.`);
+            if ((index > 0) !== (bytes.length > 2)) throw new Error('root TXID must be present on continuation parts only.');
+            return index > 0 ? { index, total, rootTxid: bytesToHex(bytes.subarray(2)) } : { index, total };
+        }
+    });
+
+    const COMPRESSION_ALGORITHMS = { 1: 'deflate-raw' };
+
+    defineExtensionField(2, 'compression', {
+        validate: (algorithm) => Object.values(COMPRESSION_ALGORITHMS).includes(algorithm) ? null : `Unsupported compression: ${algorithm}.`,
+        encode: (algorithm) => Uint8Array.of(Number(Object.keys(COMPRESSION_ALGORITHMS).find(id => COMPRESSION_ALGORITHMS[id] === algorithm))),
+        decode(bytes) {
+            if (bytes.length !== 1 || !COMPRESSION_ALGORITHMS[bytes[0]]) throw new Error(`unsupported algorithm ${bytes[0]}.`);
+            return COMPRESSION_ALGORITHMS[bytes[0]];
+        }
+    });
+
+    // Value { targetTxid } referencing another message
+    function targetTxidField() {
+        return {
+            validate: (value) => isTxid(value?.targetTxid) ? null : 'Target TXID must be 32 bytes of hex.',
+            encode: ({ targetTxid }) => hexToBytes(targetTxid),
+            decode(bytes) {
+                if (bytes.length !== TXID_BYTES) throw new Error(`unexpected length ${bytes.length}.`);
+                return { targetTxid: bytesToHex(bytes) };
+            }
+        };
+    }
+
+    // An edit repeats the target's parentTxid and is sent to the same address as the target
+    defineExtensionField(3, 'edit', targetTxidField());
+
+    // Same addressing as an edit; the message field may carry an optional reason
+    defineExtensionField(4, 'retraction', targetTxidField());
+
+    // Codes are append-only: a code is never reused for another emoji
+    const REACTION_EMOJIS = Object.freeze({ 1: '👍', 2: '❤️', 3: '😂', 4: '😮', 5: '😢', 6: '🔥', 7: '🎉', 8: '👎' });
+
+    // Same addressing as an edit, with an empty title and message. Codes added by newer
+    // clients decode with `emoji: null` and are ignored when counting.
+    defineExtensionField(5, 'reaction', {
+        validate({ targetTxid, emoji } = {}) {
+            if (!isTxid(targetTxid)) return 'Target TXID must be 32 bytes of hex.';
+            if (!Object.values(REACTION_EMOJIS).includes(emoji)) return `Unsupported reaction: ${emoji}.`;
+            return null;
+        },
+        encode({ targetTxid, emoji }) {
+            const bytes = new Uint8Array(TXID_BYTES + 1);
+            bytes.set(hexToBytes(targetTxid), 0);
+            bytes[TXID_BYTES] = Number(Object.keys(REACTION_EMOJIS).find(code => REACTION_EMOJIS[code] === emoji));
+            return bytes;
+        },
+        decode(bytes) {
+            if (bytes.length !== TXID_BYTES + 1) throw new Error(`unexpected length ${bytes.length}.`);
+            return { targetTxid: bytesToHex(bytes.subarray(0, TXID_BYTES)), emoji: REACTION_EMOJIS[bytes[TXID_BYTES]] || null };
+        }
+    });
+
+    // Only meaningful on a thread: its message is the question. The options cannot be
+    // edited afterwards (edits replace the title and message only).
+    defineExtensionField(6, 'poll', {
+        validate({ options, closesAt = null } = {}) {
+            if (!Array.isArray(options) || options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+                return `A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options.`;
+            }
+            for (const option of options) {
+                if (typeof option !== 'string' || option.trim() === '') return 'Poll options must be non-empty strings.';
+                const length = textEncoder.encode(option).length;
+                if (length > MAX_POLL_OPTION_BYTES) return `Poll option too long (${length}/${MAX_POLL_OPTION_BYTES} bytes).`;
+            }
+            if (closesAt !== null && (!Number.isInteger(closesAt) || closesAt < 1 || closesAt > 0xFFFFFFFF)) {
+                return 'Poll closing time must be a unix timestamp in seconds.';
+            }
+            return null;
+        },
+        encode({ options, closesAt = null }) {
+            const encodedOptions = options.map(option => textEncoder.encode(option));
+            const bytes = new Uint8Array(5 + encodedOptions.reduce((sum, option) => sum + 1 + option.length, 0));
+            new DataView(bytes.buffer).setUint32(0, closesAt || 0, false);
+            bytes[4] = options.length;
+            let offset = 5;
+            encodedOptions.forEach(option => {
+                bytes[offset] = option.length;
+                bytes.set(option, offset + 1);
+                offset += 1 + option.length;
+            });
+            return bytes;
+        },
+        decode(bytes) {
+            if (bytes.length < 5) throw new Error(`unexpected length ${bytes.length}.`);
+            const closesAt = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, false);
+            const count = bytes[4];
+            if (count < MIN_POLL_OPTIONS || count > MAX_POLL_OPTIONS) throw new Error(`${count} options.`);
+
+            const options = [];
+            let offset = 5;
+            for (let i = 0; i < count; i++) {
+                const length = bytes[offset];
+                if (length === undefined || offset + 1 + length > bytes.length) throw new Error(`option ${i} truncated.`);
+                if (length > MAX_POLL_OPTION_BYTES) throw new Error(`option ${i} too long.`);
+                options.push(textDecoder.decode(bytes.subarray(offset + 1, offset + 1 + length)));
+                offset += 1 + length;
+            }
+            if (offset !== bytes.length) throw new Error('trailing bytes after the options.');
+            return { options, closesAt: closesAt || null };
+        }
+    });
+
+    // Sent to the poll author's address with the poll TXID as parentTxid, like a reply
+    defineExtensionField(7, 'vote', {
+        validate({ pollTxid, option } = {}) {
+            if (!isTxid(pollTxid)) return 'Poll TXID must be 32 bytes of hex.';
+            if (!Number.isInteger(option) || option < 0 || option >= MAX_POLL_OPTIONS) return 'Vote option out of range.';
+            return null;
+        },
+        encode({ pollTxid, option }) {
+            const bytes = new Uint8Array(TXID_BYTES + 1);
+            bytes.set(hexToBytes(pollTxid), 0);
+            bytes[TXID_BYTES] = option;
+            return bytes;
+        },
+        decode(bytes) {
+            if (bytes.length !== TXID_BYTES + 1) throw new Error(`unexpected length ${bytes.length}.`);
+            return { pollTxid: bytesToHex(bytes.subarray(0, TXID_BYTES)), option: bytes[TXID_BYTES] };
+        }
+    });
+
+    // A reply to another reply keeps the thread TXID as parentTxid (so that it is found
+    // with the other replies) and names the reply it answers here
+    defineExtensionField(8, 'replyTo', targetTxidField());
+
+    // The excerpt is not copied into the body: readers cut it out of the quoted message.
+    // The TXID may be a message or one of its edits, to quote the version the author saw.
+    defineExtensionField(9, 'quote', {
+        validate({ targetTxid, start, end } = {}) {
+            if (!isTxid(targetTxid)) return 'Quoted TXID must be 32 bytes of hex.';
+            if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > 0xFFFF) return 'Invalid quote range.';
+            return null;
+        },
+        encode({ targetTxid, start, end }) {
+            const bytes = new Uint8Array(TXID_BYTES + 4);
+            bytes.set(hexToBytes(targetTxid), 0);
+            const view = new DataView(bytes.buffer);
+            view.setUint16(TXID_BYTES, start, false);
+            view.setUint16(TXID_BYTES + 2, end, false);
+            return bytes;
+        },
+        decode(bytes) {
+            if (bytes.length !== TXID_BYTES + 4) throw new Error(`unexpected length ${bytes.length}.`);
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const start = view.getUint16(TXID_BYTES, false), end = view.getUint16(TXID_BYTES + 2, false);
+            if (end <= start) throw new Error(`empty range ${start}-${end}.`);
+            return { targetTxid: bytesToHex(bytes.subarray(0, TXID_BYTES)), start, end };
+        }
+    });
+
+    // =================================================================
+    // --- Validation ---
+    // =================================================================
+    function withDefaults(fields) {
+        const payload = {
+            parentTxid: ROOT_PARENT_TXID,
+            theme: '',
+            language: '',
+            priority: 0,
+            title: '',
+            message: '',
+            ...fields,
+            // Unset optional fields (undefined/null) are simply not written
+            extensions: Object.fromEntries(Object.entries(fields.extensions || {}).filter(([, value]) => value !== undefined && value !== null)),
+            unknownFields: fields.unknownFields || []
+        };
+
+        // Only switch to the extensible layout when there is something to put in it
+        if (payload.version === undefined) {
+            payload.version = hasExtensionData(payload) ? EXTENSIBLE_VERSION : PROTOCOL_VERSION;
+        }
+        return payload;
+    }
+
+    /**
+     * Checks payload fields against the protocol limits.
+     * Returns an array of { field, message } entries, empty when the fields are valid.
+     */
+    function validatePayload(fields) {
+        const payload = withDefaults(fields);
+        const errors = checkPayload(payload, null);
+
+        if (payload.extensions.compression !== undefined) {
+            errors.push({ field: 'compression', message: 'Compressed payloads are built with compressPayload().' });
+        }
+        return errors;
+    }
+
+    // `messageBytes` is the body as written on the wire (compressed or not), or null for raw UTF-8
+    function checkPayload(payload, messageBytes) {
+        const errors = [];
+
+        if (!isTxid(payload.parentTxid)) {
+            errors.push({ field: 'parentTxid', message: 'Parent TXID must be 32 bytes of hex.' });
+        }
+
+        ['theme', 'language', 'title', 'message'].forEach(field => {
+            if (typeof payload[field] !== 'string') {
+                errors.push({ field, message: `${field} must be a string.` });
+            }
+        });
+        if (errors.length > 0) return errors;
+
+        const titleLength = textEncoder.encode(payload.title).length;
+        const messageLength = (messageBytes || textEncoder.encode(payload.message)).length;
+        if (titleLength > MAX_TITLE_BYTES) {
+            errors.push({ field: 'title', message: `Title too long (${titleLength}/${MAX_TITLE_BYTES} bytes).` });
+        }
+        if (messageLength > MAX_MESSAGE_BYTES) {
+            errors.push({ field: 'message', message: `Message too long (${messageLength}/${MAX_MESSAGE_BYTES} bytes).` });
+        }
+
+        if (textEncoder.encode(payload.theme).length > 0xFFFF) {
+            errors.push({ field: 'theme', message: 'Theme too long.' });
+        }
+        if (textEncoder.encode(payload.language).length > 0xFFFF) {
+            errors.push({ field: 'language', message: 'Language too long.' });
+        }
+
+        if (!Number.isInteger(payload.priority) || payload.priority < 0 || payload.priority > 255) {
+            errors.push({ field: 'priority', message: 'Priority must be an integer between 0 and 255.' });
+        }
+
+        if (!SUPPORTED_VERSIONS.includes(payload.version)) {
+            errors.push({ field: 'version', message: `Unsupported protocol version: ${payload.version}.` });
+        } else if (payload.version === PROTOCOL_VERSION && hasExtensionData(payload)) {
+            errors.push({ field: 'version', message: `Extension fields require protocol version ${EXTENSIBLE_VERSION}.` });
+        }
+
+        Object.entries(payload.extensions).forEach(([name, value]) => {
+            const field = extensionFieldsByName.get(name);
+            if (!field) {
+                errors.push({ field: name, message: `Unknown extension field: ${name}.` });
+                return;
+            }
+            const error = field.validate(value);
+            if (error) errors.push({ field: name, message: error });
+        });
+
+        payload.unknownFields.forEach(({ type, value }) => {
+            if (!Number.isInteger(type) || type < 1 || type > 255 || extensionFieldsByType.has(type) || !isHex(value)) {
+                errors.push({ field: 'unknownFields', message: `Invalid raw extension field: ${type}.` });
+            }
+        });
+
+        return errors;
+    }
+
+    // =================================================================
+    // --- Encoding ---
+    // =================================================================
+    function encodeExtensionEntries(payload) {
+        const entries = [];
+
+        Object.entries(payload.extensions).forEach(([name, value]) => {
+            const field = extensionFieldsByName.get(name);
+            entries.push({ type: field.type, value: field.encode(value) });
+        });
+        payload.unknownFields.forEach(({ type, value }) => {
+            entries.push({ type, value: hexToBytes(value) });
+        });
+
+        entries.forEach(entry => {
+            if (entry.value.length > 0xFFFF) throw new Error(`Extension field ${entry.type} too long.`);
+        });
+
+        // Deterministic order so that identical fields always produce identical payloads
+        return entries.sort((a, b) => a.type - b.type);
+    }
+
+    /**
+     * Encodes a payload and returns its bytes. Version 4 is used unless the fields carry
+     * extension data (or `version: 5` is requested explicitly).
+     * Throws an Error listing every violated limit when the fields are invalid.
+     */
+    function encodePayload(fields) {
+        const errors = validatePayload(fields);
+        if (errors.length > 0) throw new Error(errors.map(e => e.message).join(' '));
+
+        const payload = withDefaults(fields);
+        return writePayload(payload, textEncoder.encode(payload.message));
+    }
+
+    function writePayload(payload, messageBytes) {
+        const parentTxidBytes = hexToBytes(payload.parentTxid);
+        const themeBytes = textEncoder.encode(payload.theme), langBytes = textEncoder.encode(payload.language);
+        const titleBytes = textEncoder.encode(payload.title);
+        const extensionEntries = payload.version === EXTENSIBLE_VERSION ? encodeExtensionEntries(payload) : [];
+
+        const fixedSize = 1 + TXID_BYTES + 2 + themeBytes.length + 2 + langBytes.length + 1 + 2 + titleBytes.length + 2 + messageBytes.length;
+        const extensionSize = extensionEntries.reduce((total, entry) => total + 1 + 2 + entry.value.length, 0);
+        const bytes = new Uint8Array(fixedSize + extensionSize), view = new DataView(bytes.buffer); let offset = 0;
+
+        view.setUint8(offset, payload.version); offset += 1;
+        bytes.set(parentTxidBytes, offset); offset += TXID_BYTES;
+        view.setUint16(offset, themeBytes.length, false); offset += 2; bytes.set(themeBytes, offset); offset += themeBytes.length;
+        view.setUint16(offset, langBytes.length, false); offset += 2; bytes.set(langBytes, offset); offset += langBytes.length;
+        view.setUint8(offset, payload.priority); offset += 1;
+        view.setUint16(offset, titleBytes.length, false); offset += 2; bytes.set(titleBytes, offset); offset += titleBytes.length;
+        view.setUint16(offset, messageBytes.length, false); offset += 2; bytes.set(messageBytes, offset); offset += messageBytes.length;
+
+        for (const entry of extensionEntries) {
+            view.setUint8(offset, entry.type); offset += 1;
+            view.setUint16(offset, entry.value.length, false); offset += 2;
+            bytes.set(entry.value, offset); offset += entry.value.length;
+        }
+
+        return bytes;
+    }
+
+    function encodeThreadPayload({ title, message, theme = '', language = '', priority = 0, extensions }) {
+        return encodePayload({ parentTxid: ROOT_PARENT_TXID, title, message, theme, language, priority, extensions });
+    }
+
+    function encodeReplyPayload({ message, parentTxid, extensions }) {
+        return encodePayload({ parentTxid, message, extensions });
+    }
+
+    // =================================================================
+    // --- Compression ---
+    // =================================================================
+    async function pipeBytes(bytes, transform, maxBytes = Infinity) {
+        const source = new ReadableStream({
+            start(controller) {
+                controller.enqueue(bytes);
+                controller.close();
+            }
+        });
+        const reader = source.pipeThrough(transform).getReader();
+        const chunks = [];
+        let length = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            length += value.length;
+            if (length > maxBytes) {
+                await reader.cancel();
+                return null;
+            }
+            chunks.push(value);
+        }
+
+        const output = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => { output.set(chunk, offset); offset += chunk.length; });
+        return output;
+    }
+
+    function deflateRaw(bytes) {
+        return pipeBytes(bytes, new CompressionStream('deflate-raw'));
+    }
+
+    // Resolves with null when the output would exceed maxBytes; rejects on corrupt input
+    function inflateRaw(bytes, maxBytes) {
+        return pipeBytes(bytes, new DecompressionStream('deflate-raw'), maxBytes);
+    }
+
+    /**
+     * Sizes a message body as it would be written: compressed when that is smaller.
+     * Returns { rawBytes, encodedBytes, compressed }.
+     */
+    async function measureMessage(message) {
+        const raw = textEncoder.encode(message);
+        const deflated = raw.length > 0 ? await deflateRaw(raw) : raw;
+        return deflated.length < raw.length
+            ? { rawBytes: raw.length, encodedBytes: deflated.length, compressed: true }
+            : { rawBytes: raw.length, encodedBytes: raw.length, compressed: false };
+    }
+
+    /**
+     * Async variant of encodePayload() that deflates the message body when that makes it
+     * smaller; the MAX_MESSAGE_BYTES limit then applies to the compressed body. Falls back
+     * to a plain encodePayload() otherwise.
+     */
+    async function compressPayload(fields) {
+        const raw = textEncoder.encode(fields.message || '');
+        const deflated = raw.length > 0 ? await deflateRaw(raw) : raw;
+        if (deflated.length >= raw.length) return encodePayload(fields);
+
+        const payload = withDefaults({ ...fields, extensions: { ...fields.extensions, compression: 'deflate-raw' } });
+        const errors = checkPayload(payload, deflated);
+        if (errors.length > 0) throw new Error(errors.map(e => e.message).join(' '));
+        return writePayload(payload, deflated);
+    }
+
+    // Part 1..n-1 of a long message; parentTxid is the root's (ROOT_PARENT_TXID for a thread)
+    function encodeContinuationPayload({ message, parentTxid = ROOT_PARENT_TXID, index, total, rootTxid, extensions }) {
+        return encodePayload({ parentTxid, message, extensions: { ...extensions, chunk: { index, total, rootTxid } } });
+    }
+
+    // =================================================================
+    // --- Decoding ---
+    // =================================================================
+    // Reason codes reported by decodePayloadStrict()
+    const DECODE_ERRORS = Object.freeze({
+        EMPTY_PAYLOAD: 'empty_payload',
+        INVALID_HEX: 'invalid_hex',
+        UNSUPPORTED_VERSION: 'unsupported_version',
+        TRUNCATED: 'truncated',
+        TITLE_TOO_LONG: 'title_too_long',
+        DUPLICATE_EXTENSION: 'duplicate_extension',
+        INVALID_EXTENSION: 'invalid_extension',
+        DECOMPRESSION_FAILED: 'decompression_failed',
+        DECOMPRESSED_TOO_LARGE: 'decompressed_too_large'
+    });
+
+    class DecodeError extends Error {
+        constructor(code, message, offset, field) {
+            super(message);
+            this.name = 'DecodeError';
+            this.code = code;
+            this.offset = offset;
+            this.field = field;
+        }
+    }
+
+    // Sequential reader that knows its byte offset, so failures can say where they happened
+    function createReader(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+
+        const reader = {
+            offset: () => offset,
+            remaining: () => bytes.length - offset,
+            fail: (code, message, field, at = offset) => { throw new DecodeError(code, message, at, field); },
+            readBytes(length, field) {
+                if (offset + length > bytes.length) {
+                    reader.fail(DECODE_ERRORS.TRUNCATED, `Payload truncated while reading ${field} (${length} bytes needed, ${bytes.length - offset} left).`, field);
+                }
+                const slice = bytes.subarray(offset, offset + length);
+                offset += length;
+                return slice;
+            },
+            readUint8: (field) => reader.readBytes(1, field)[0],
+            readUint16(field) {
+                const value = reader.remaining() >= 2 ? view.getUint16(offset, false) : 0;
+                reader.readBytes(2, field);
+                return value;
+            },
+            readString: (field) => textDecoder.decode(reader.readBytes(reader.readUint16(`${field}Length`), field))
+        };
+        return reader;
+    }
+
+    function readFixedFields(reader) {
+        const parentTxid = bytesToHex(reader.readBytes(TXID_BYTES, 'parentTxid'));
+        const theme = reader.readString('theme');
+        const language = reader.readString('language');
+        const priority = reader.readUint8('priority');
+
+        const titleOffset = reader.offset();
+        const title = reader.readString('title');
+        const titleBytes = textEncoder.encode(title).length;
+        if (titleBytes > MAX_TITLE_BYTES) {
+            // Not protocol compliant
+            reader.fail(DECODE_ERRORS.TITLE_TOO_LONG, `Title too long (${titleBytes} > ${MAX_TITLE_BYTES} bytes).`, 'title', titleOffset);
+        }
+
+        // The body is turned into text once the extension area says whether it is compressed
+        const messageOffset = reader.offset();
+        const messageBytes = reader.readBytes(reader.readUint16('messageLength'), 'message');
+        return { parentTxid, theme, language, priority, title, messageBytes, messageOffset };
+    }
+
+    async function readMessageBody({ messageBytes, messageOffset, extensions }) {
+        if (!extensions.compression) return textDecoder.decode(messageBytes);
+
+        let inflated;
+        try {
+            inflated = await inflateRaw(messageBytes, MAX_DECOMPRESSED_MESSAGE_BYTES);
+        } catch (e) {
+            throw new DecodeError(DECODE_ERRORS.DECOMPRESSION_FAILED, `Message body could not be decompressed: ${e.message}`, messageOffset, 'message');
+        }
+        if (!inflated) {
+            throw new DecodeError(DECODE_ERRORS.DECOMPRESSED_TOO_LARGE, `Decompressed message exceeds ${MAX_DECOMPRESSED_MESSAGE_BYTES} bytes.`, messageOffset, 'message');
+        }
+        return textDecoder.decode(inflated);
+    }
+
+    function readExtensionArea(reader) {
+        const extensions = {};
+        const unknownFields = [];
+        const seenTypes = new Set();
+
+        while (reader.remaining() > 0) {
+            const entryOffset = reader.offset();
+            const type = reader.readUint8('extensionType');
+            const value = reader.readBytes(reader.readUint16('extensionLength'), 'extensionValue');
+
+            if (seenTypes.has(type)) {
+                reader.fail(DECODE_ERRORS.DUPLICATE_EXTENSION, `Duplicate extension field ${type}.`, 'extensionType', entryOffset);
+            }
+            seenTypes.add(type);
+
+            const field = extensionFieldsByType.get(type);
+            if (!field) {
+                unknownFields.push({ type, value: bytesToHex(value) });
+                continue;
+            }
+
+            try {
+                extensions[field.name] = field.decode(value);
+            } catch (e) {
+                if (e instanceof DecodeError) throw e;
+                reader.fail(DECODE_ERRORS.INVALID_EXTENSION, `Invalid ${field.name} extension: ${e.message}`, field.name, entryOffset);
+            }
+        }
+
+        return { extensions, unknownFields };
+    }
+
+    // One decoder per supported version; each consumes everything after the version byte
+    const payloadDecoders = {
+        [PROTOCOL_VERSION]: (reader) => ({ ...readFixedFields(reader), extensions: {}, unknownFields: [] }),
+        [EXTENSIBLE_VERSION]: (reader) => ({ ...readFixedFields(reader), ...readExtensionArea(reader) })
+    };
+
+    /**
+     * Decodes a payload hex string and reports why it was rejected.
+     * Resolves with { ok: true, value } where value is { version, parentTxid, theme, language,
+     * priority, title, message, extensions, unknownFields }, or
+     * { ok: false, error: { code, message, offset, field } } with code one of DECODE_ERRORS
+     * and offset the byte position in the payload where decoding stopped.
+     * Asynchronous because compressed bodies are inflated with DecompressionStream.
+     */
+    async function decodePayloadStrict(payloadHex) {
+        const failure = (code, message, offset, field) => ({ ok: false, error: { code, message, offset, field } });
+
+        if (typeof payloadHex !== 'string' || payloadHex.length < 2) {
+            return failure(DECODE_ERRORS.EMPTY_PAYLOAD, 'Empty payload.', 0, null);
+        }
+
+        const normalizedHex = normalizePayloadHex(payloadHex);
+        if (!isHex(normalizedHex)) {
+            return failure(DECODE_ERRORS.INVALID_HEX, 'Payload is not valid hex.', 0, null);
+        }
+
+        try {
+            const reader = createReader(hexToBytes(normalizedHex));
+
+            const version = reader.readUint8('version');
+            const decodeVersion = payloadDecoders[version];
+            if (!decodeVersion) {
+                return failure(DECODE_ERRORS.UNSUPPORTED_VERSION, `Unsupported protocol version: ${version}.`, 0, 'version');
+            }
+
+            const { messageBytes, messageOffset, ...fields } = decodeVersion(reader);
+            const message = await readMessageBody({ messageBytes, messageOffset, extensions: fields.extensions });
+            return { ok: true, value: { version, ...fields, message } };
+        } catch (e) {
+            if (e instanceof DecodeError) return failure(e.code, e.message, e.offset, e.field);
+            throw e;
+        }
+    }
+
+    /**
+     * Decodes a payload hex string.
+     * Resolves with the decoded fields (see decodePayloadStrict), or null when the payload is
+     * not a valid Kaster payload.
+     */
+    async function decodePayload(payloadHex) {
+        const result = await decodePayloadStrict(payloadHex);
+        return result.ok ? result.value : null;
+    }
+
+    // =================================================================
+    // --- Message kinds & multi-part messages ---
+    // =================================================================
+    /**
+     * Classifies a decoded payload: 'thread', 'reply', 'continuation' (part > 0 of a
+     * long message, which only makes sense once reassembled with its root), 'edit',
+     * 'retraction', 'reaction' or 'vote'. A poll is a thread carrying a `poll` field.
+     */
+    function getMessageKind(decoded) {
+        if (decoded.extensions?.chunk?.index > 0) return 'continuation';
+        if (decoded.extensions?.reaction) return 'reaction';
+        if (decoded.extensions?.vote) return 'vote';
+        if (decoded.extensions?.retraction) return 'retraction';
+        if (decoded.extensions?.edit) return 'edit';
+        return decoded.parentTxid === ROOT_PARENT_TXID ? 'thread' : 'reply';
+    }
+
+    function isThreadPayload(decoded) {
+        return !!decoded && getMessageKind(decoded) === 'thread';
+    }
+
+    /**
+     * Splits a message body into parts of at most `maxBytes` UTF-8 bytes, never cutting a
+     * character in half and preferring to break after whitespace.
+     */
+    function splitMessage(message, maxBytes = MAX_MESSAGE_BYTES) {
+        const parts = [];
+        let current = '', currentBytes = 0, lastBreak = -1;
+
+        for (const char of message) {
+            const charBytes = textEncoder.encode(char).length;
+            if (currentBytes + charBytes > maxBytes) {
+                // Break after the last whitespace when it keeps at least half of the part
+                const cut = lastBreak > current.length / 2 ? lastBreak : current.length;
+                parts.push(current.slice(0, cut));
+                current = current.slice(cut);
+                currentBytes = textEncoder.encode(current).length;
+                lastBreak = -1;
+            }
+            current += char;
+            currentBytes += charBytes;
+            if (/\s/.test(char)) lastBreak = current.length;
+        }
+
+        if (current.length > 0 || parts.length === 0) parts.push(current);
+        return parts;
+    }
+
+    /**
+     * Merges the continuation parts of a long message into its root message.
+     * Messages are decoded payloads enriched with `txid`, `sender_address` and `block_time`.
+     * Only parts published by the root's sender are accepted. The result carries the joined
+     * `message`, `incomplete`, `missingParts` (indexes) and `chunkParts` (the raw parts, so
+     * that an already assembled message can be completed later).
+     */
+    function assembleChunks(root, continuations = []) {
+        const { total } = root.extensions.chunk;
+        const parts = root.chunkParts ? root.chunkParts.slice() : [root.message, ...new Array(total - 1).fill(null)];
+
+        continuations
+            .filter(part => part.extensions.chunk.rootTxid === root.txid
+                && part.extensions.chunk.total === total
+                && part.sender_address === root.sender_address)
+            .sort((a, b) => new Date(a.block_time) - new Date(b.block_time))
+            .forEach(part => {
+                // The first published copy of a part wins
+                if (parts[part.extensions.chunk.index] === null) parts[part.extensions.chunk.index] = part.message;
+            });
+
+        const missingParts = parts.map((part, index) => part === null ? index : -1).filter(index => index >= 0);
+        return {
+            ...root,
+            message: parts.map(part => part ?? '').join(''),
+            chunkParts: parts,
+            partCount: total,
+            missingParts,
+            incomplete: missingParts.length > 0
+        };
+    }
+
+    /**
+     * Reassembles every multi-part message of a list: continuations are folded into their
+     * root and removed, orphaned continuations (root not in the list) are dropped.
+     */
+    function assembleMessages(messages) {
+        const continuationsByRoot = new Map();
+        const roots = [];
+
+        messages.forEach(message => {
+            if (getMessageKind(message) === 'continuation') {
+                const rootTxid = message.extensions.chunk.rootTxid;
+                if (!continuationsByRoot.has(rootTxid)) continuationsByRoot.set(rootTxid, []);
+                continuationsByRoot.get(rootTxid).push(message);
+            } else {
+                roots.push(message);
+            }
+        });
+
+        return roots.map(message => message.extensions?.chunk
+            ? assembleChunks(message, continuationsByRoot.get(message.txid))
+            : message);
+    }
+
+    /**
+     * Arranges the replies of a thread into a tree following their `replyTo` field.
+     * Replies without one, or whose target is not in the list (hidden, filtered or not
+     * found), are top-level; the latter get `parentMissing: true`. A reply can only hang
+     * under an earlier one, which rules out cycles. Returns the top-level nodes
+     * { message, children, parentMissing }, every level in chronological order.
+     */
+    function buildReplyTree(replies) {
+        const sorted = replies.slice().sort((a, b) => new Date(a.block_time) - new Date(b.block_time) || (a.txid < b.txid ? -1 : 1));
+        const nodes = new Map();
+        const roots = [];
+
+        sorted.forEach(message => {
+            const targetTxid = message.extensions?.replyTo?.targetTxid;
+            const node = { message, children: [], parentMissing: false };
+            // Only nodes already visited (earlier replies) can be parents
+            const parent = targetTxid ? nodes.get(targetTxid) : null;
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                node.parentMissing = !!targetTxid;
+                roots.push(node);
+            }
+            nodes.set(message.txid, node);
+        });
+        return roots;
+    }
+
+    // =================================================================
+    // --- Edits ---
+    // =================================================================
+    function toRevision(message) {
+        const { txid, block_time, title, message: text, incomplete = false, missingParts = [], partCount = 1 } = message;
+        return { txid, block_time, title, message: text, incomplete, missingParts, partCount };
+    }
+
+    // A message that already went through applyEdits() (e.g. read back from a cache) is
+    // turned back into its original version before the edits are applied again
+    function restoreOriginal(message) {
+        if (!message.revisions) return message;
+        const { txid, block_time, ...original } = message.revisions[0];
+        return { ...message, ...original };
+    }
+
+    /**
+     * Applies edits to the messages they target and removes them from the list. Only edits
+     * signed by the target's sender are honoured; the most recent one (by block_time) wins.
+     * Edited messages get `edited: true`, `editedAt` and `revisions` (original first, then
+     * every edit in chronological order); `title`/`message` show the latest revision.
+     */
+    function applyEdits(messages) {
+        const editsByTarget = new Map();
+        const targets = [];
+
+        messages.forEach(message => {
+            if (getMessageKind(message) === 'edit') {
+                const targetTxid = message.extensions.edit.targetTxid;
+                if (!editsByTarget.has(targetTxid)) editsByTarget.set(targetTxid, []);
+                editsByTarget.get(targetTxid).push(message);
+            } else {
+                targets.push(message);
+            }
+        });
+
+        return targets.map(message => {
+            const edits = new Map((message.revisions || []).slice(1).map(revision => [revision.txid, revision]));
+            (editsByTarget.get(message.txid) || [])
+                .filter(edit => edit.sender_address === message.sender_address)
+                .forEach(edit => edits.set(edit.txid, toRevision(edit)));
+            if (edits.size === 0) return message;
+
+            const revisions = [toRevision(message), ...Array.from(edits.values()).sort((a, b) => new Date(a.block_time) - new Date(b.block_time))];
+            const latest = revisions[revisions.length - 1];
+            return {
+                ...message,
+                // Threads keep their title when an edit leaves it empty; replies have none
+                title: latest.title || message.title,
+                message: latest.message,
+                incomplete: latest.incomplete,
+                missingParts: latest.missingParts,
+                partCount: latest.partCount,
+                edited: true,
+                editedAt: latest.block_time,
+                revisions
+            };
+        });
+    }
+
+    // =================================================================
+    // --- Retractions ---
+    // =================================================================
+    /**
+     * Marks the messages withdrawn by their author and removes the retractions from the
+     * list. Only retractions signed by the target's sender count; the first one published
+     * sets `retracted: true`, `retractedAt` and `retractionTxid`. The content is kept so
+     * that readers can still reveal it explicitly.
+     */
+    function applyRetractions(messages) {
+        const retractionsByTarget = new Map();
+        const targets = [];
+
+        messages.forEach(message => {
+            if (getMessageKind(message) === 'retraction') {
+                const targetTxid = message.extensions.retraction.targetTxid;
+                if (!retractionsByTarget.has(targetTxid)) retractionsByTarget.set(targetTxid, []);
+                retractionsByTarget.get(targetTxid).push(message);
+            } else {
+                targets.push(message);
+            }
+        });
+
+        return targets.map(message => {
+            if (message.retracted) return message;
+            const retraction = (retractionsByTarget.get(message.txid) || [])
+                .filter(candidate => candidate.sender_address === message.sender_address)
+                .sort((a, b) => new Date(a.block_time) - new Date(b.block_time))[0];
+            return retraction
+                ? { ...message, retracted: true, retractedAt: retraction.block_time, retractionTxid: retraction.txid }
+                : message;
+        });
+    }
+
+    // =================================================================
+    // --- Quotes ---
+    // =================================================================
+    /**
+     * Byte range { start, end } of `excerpt` in the UTF-8 encoding of `text` (first
+     * occurrence), or null when the excerpt is empty or not part of the text.
+     */
+    function findQuoteRange(text, excerpt) {
+        const index = excerpt ? text.indexOf(excerpt) : -1;
+        if (index < 0) return null;
+        const start = textEncoder.encode(text.slice(0, index)).length;
+        return { start, end: start + textEncoder.encode(excerpt).length };
+    }
+
+    /**
+     * Cuts a quoted excerpt out of the message it references. `messages` are resolved
+     * messages; the quoted TXID may be one of them or one of their edits (`revisions`).
+     * Returns { text, message, revisionTxid }, or null when the message is not in the
+     * list or the range does not fall on character boundaries of its text.
+     */
+    function resolveQuote(quote, messages) {
+        for (const message of messages) {
+            const revisions = message.revisions || [{ txid: message.txid, message: message.message }];
+            // revisions[0] carries the txid of the message itself
+            const revision = revisions.find(candidate => candidate.txid === quote.targetTxid);
+            if (!revision) continue;
+
+            const bytes = textEncoder.encode(revision.message);
+            const isBoundary = (offset) => offset === bytes.length || (bytes[offset] & 0xC0) !== 0x80;
+            if (quote.end > bytes.length || !isBoundary(quote.start) || !isBoundary(quote.end)) return null;
+            return { text: textDecoder.decode(bytes.subarray(quote.start, quote.end)), message, revisionTxid: revision.txid };
+        }
+        return null;
+    }
+
+    // =================================================================
+    // --- Mentions ---
+    // =================================================================
+    // `@` followed by a full mainnet address (bech32 charset, P2PK, ECDSA or P2SH length)
+    const MENTION_PATTERN = /@(kaspa:[qpzry9x8gf2tvdw0s3jn54khce6mua7l]{61,63})(?![a-z0-9])/g;
+    const ADDRESS_PATTERN = /^kaspa:[qpzry9x8gf2tvdw0s3jn54khce6mua7l]{61,63}$/;
+
+    // Shape check only (prefix, charset and length), the checksum is not verified
+    function isKaspaAddress(value) {
+        return typeof value === 'string' && ADDRESS_PATTERN.test(value);
+    }
+
+    // Addresses mentioned in a message body, each listed once, in order of appearance
+    function extractMentions(text) {
+        return Array.from(new Set(Array.from(String(text || '').matchAll(MENTION_PATTERN), match => match[1])));
+    }
+
+    // =================================================================
+    // --- Hashtags ---
+    // =================================================================
+    // `#` followed by letters, digits or underscores (at least one letter, so "#1" stays plain text),
+    // not glued to a preceding word, URL path or HTML entity
+    const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#\/])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+    const MAX_HASHTAG_LENGTH = 32;
+
+    // Tags are case-insensitive: "#Kaspa" and "#kaspa" are the same tag
+    function normalizeHashtag(tag) {
+        return String(tag || '').replace(/^#/, '').normalize('NFC').toLowerCase();
+    }
+
+    // Normalized tags of a title or message body, each listed once, in order of appearance
+    function extractHashtags(text) {
+        const tags = Array.from(String(text || '').matchAll(HASHTAG_PATTERN), match => normalizeHashtag(match[1]))
+            .filter(tag => Array.from(tag).length <= MAX_HASHTAG_LENGTH);
+        return Array.from(new Set(tags));
+    }
+
+    // =================================================================
+    // --- Reactions ---
+    // =================================================================
+    // Deterministic "latest" between two records of the same sender: block_time, then txid
+    function isMoreRecent(record, current) {
+        const delta = new Date(record.block_time) - new Date(current.block_time);
+        return delta > 0 || (delta === 0 && record.txid > current.txid);
+    }
+
+    /**
+     * Flattens a reaction message into the record counted by tallyReactions():
+     * { txid, targetTxid, emoji, sender_address, block_time }. Returns null for anything
+     * that is not a reaction.
+     */
+    function toReactionRecord(message) {
+        if (!message || getMessageKind(message) !== 'reaction') return null;
+        const { txid, sender_address, block_time } = message;
+        const { targetTxid, emoji } = message.extensions.reaction;
+        return { txid, targetTxid, emoji, sender_address, block_time };
+    }
+
+    /**
+     * Counts reaction records per target. Each address counts once per target: its most
+     * recent reaction (by block_time, then txid) replaces the earlier ones. Records from
+     * `excludedAddresses` or with a txid in `excludedTxids` are skipped before that choice.
+     * Returns a Map targetTxid -> { counts: { emoji: n }, total, byAddress: Map address -> emoji }.
+     */
+    function tallyReactions(records, { excludedAddresses = new Set(), excludedTxids = new Set() } = {}) {
+        const latestByVoter = new Map();
+
+        records
+            .filter(record => record && record.emoji
+                && !excludedAddresses.has(record.sender_address)
+                && !excludedTxids.has(record.txid))
+            .forEach(record => {
+                const key = `${record.targetTxid}:${record.sender_address}`;
+                const current = latestByVoter.get(key);
+                if (!current || isMoreRecent(record, current)) latestByVoter.set(key, record);
+            });
+
+        const tallies = new Map();
+        latestByVoter.forEach(record => {
+            if (!tallies.has(record.targetTxid)) tallies.set(record.targetTxid, { counts: {}, total: 0, byAddress: new Map() });
+            const tally = tallies.get(record.targetTxid);
+            tally.counts[record.emoji] = (tally.counts[record.emoji] || 0) + 1;
+            tally.total++;
+            tally.byAddress.set(record.sender_address, record.emoji);
+        });
+        return tallies;
+    }
+
+    // =================================================================
+    // --- Polls ---
+    // =================================================================
+    /**
+     * Flattens a vote message into the record counted by tallyPoll():
+     * { txid, pollTxid, option, sender_address, block_time }. Returns null for anything
+     * that is not a vote.
+     */
+    function toVoteRecord(message) {
+        if (!message || getMessageKind(message) !== 'vote') return null;
+        const { txid, sender_address, block_time } = message;
+        const { pollTxid, option } = message.extensions.vote;
+        return { txid, pollTxid, option, sender_address, block_time };
+    }
+
+    /**
+     * Tallies the votes of a poll thread from chain data only, so that every client gets
+     * the same result: votes for another poll, for a missing option or published after
+     * the closing time are ignored, then each address counts once with its latest vote
+     * (by block_time, then txid). Returns { options: [{ label, votes }], totalVotes,
+     * closesAt, byAddress: Map address -> option index }, or null if `poll` is not a poll.
+     */
+    function tallyPoll(poll, records) {
+        if (!poll?.extensions?.poll || getMessageKind(poll) !== 'thread') return null;
+        const { options, closesAt } = poll.extensions.poll;
+        const latestByVoter = new Map();
+
+        records
+            .filter(record => record
+                && record.pollTxid === poll.txid
+                && Number.isInteger(record.option) && record.option < options.length
+                && (!closesAt || new Date(record.block_time).getTime() <= closesAt * 1000))
+            .forEach(record => {
+                const current = latestByVoter.get(record.sender_address);
+                if (!current || isMoreRecent(record, current)) latestByVoter.set(record.sender_address, record);
+            });
+
+        const counts = options.map(() => 0);
+        const byAddress = new Map();
+        latestByVoter.forEach((record, address) => {
+            counts[record.option]++;
+            byAddress.set(address, record.option);
+        });
+
+        return {
+            options: options.map((label, index) => ({ label, votes: counts[index] })),
+            totalVotes: latestByVoter.size,
+            closesAt,
+            byAddress
+        };
+    }
+
+    // =================================================================
+    // --- Boost ---
+    // =================================================================
+    // Every message sends BASE_AMOUNT_SOMPI; a thread is boosted by one priority level per
+    // BOOST_UNIT_SOMPI sent to the protocol address on top of it (same transaction)
+    const BASE_AMOUNT_SOMPI = 12000000; // 0.12 KAS
+    const BOOST_UNIT_SOMPI = 10000000; // 0.1 KAS
+    const MAX_PRIORITY = 255;
+
+    // Amount to send to the protocol address for a given priority level
+    function boostAmountSompi(priority) {
+        return BASE_AMOUNT_SOMPI + priority * BOOST_UNIT_SOMPI;
+    }
+
+    /**
+     * Priority actually backed by a payment: the `priority` byte of the payload, capped by
+     * what `paidSompi` (outputs of the transaction to the protocol address) covers. A priority
+     * byte without the matching payment counts as 0.
+     */
+    function verifyPriority(declaredPriority, paidSompi) {
+        const paid = Number(paidSompi);
+        if (!Number.isInteger(declaredPriority) || !Number.isFinite(paid)) return 0;
+        const covered = Math.floor((paid - BASE_AMOUNT_SOMPI) / BOOST_UNIT_SOMPI);
+        return Math.max(0, Math.min(declaredPriority, covered, MAX_PRIORITY));
+    }
+
+    /**
+     * Turns decoded messages (decoded payloads enriched with `txid`, `sender_address` and
+     * `block_time`) into what a reader displays: long messages reassembled, edits applied,
+     * retractions marked. Reactions and votes are left out (see toReactionRecord() and
+     * toVoteRecord()). Works on raw API data as well as on previously resolved (cached)
+     * messages.
+     */
+    function resolveMessages(messages) {
+        const resolved = applyRetractions(applyEdits(assembleMessages(messages.map(restoreOriginal))));
+        return resolved.filter(message => !['reaction', 'vote'].includes(getMessageKind(message)));
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        EXTENSIBLE_VERSION,
+        SUPPORTED_VERSIONS,
+        MAX_TITLE_BYTES,
+        MAX_MESSAGE_BYTES,
+        MAX_DECOMPRESSED_MESSAGE_BYTES,
+        MAX_CHUNKS,
+        MIN_POLL_OPTIONS,
+        MAX_POLL_OPTIONS,
+        MAX_POLL_OPTION_BYTES,
+        REACTION_EMOJIS,
+        BASE_AMOUNT_SOMPI,
+        BOOST_UNIT_SOMPI,
+        MAX_PRIORITY,
+        ROOT_PARENT_TXID,
+        isHex,
+        isTxid,
+        hexToBytes,
+        bytesToHex,
+        normalizePayloadHex,
+        defineExtensionField,
+        DECODE_ERRORS,
+        validatePayload,
+        encodePayload,
+        encodeThreadPayload,
+        encodeReplyPayload,
+        encodeContinuationPayload,
+        measureMessage,
+        compressPayload,
+        decodePayload,
+        decodePayloadStrict,
+        getMessageKind,
+        isThreadPayload,
+        splitMessage,
+        assembleChunks,
+        assembleMessages,
+        buildReplyTree,
+        findQuoteRange,
+        resolveQuote,
+        isKaspaAddress,
+        extractMentions,
+        MAX_HASHTAG_LENGTH,
+        normalizeHashtag,
+        extractHashtags,
+        applyEdits,
+        applyRetractions,
+        toReactionRecord,
+        tallyReactions,
+        toVoteRecord,
+        tallyPoll,
+        boostAmountSompi,
+        verifyPriority,
+        resolveMessages
+    };
+});
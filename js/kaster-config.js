@@ -0,0 +1,36 @@
+// =================================================================
+// --- kaster-config.js (Deployment settings for the Kaster Interface) ---
+// Edit this file to adapt a deployment without touching js/script.js.
+// =================================================================
+window.kasterConfig = {
+    // Themes offered by this deployment, on top of the built-in ones (General, Technology,
+    // Kaspa, Gaming, Finance, Crypto, News, Tutorial, Support, Feedback).
+    // `id` is what gets written on-chain; `labels` are shown per interface language;
+    // `aliases` are free-text themes of older threads that should count as this theme.
+    //
+    //     { id: 'mining', labels: { fr: 'Minage', en: 'Mining' }, aliases: ['miners', 'asic'] }
+    themes: [],
+
+    // When true, only the themes above are offered (the built-in list is not used)
+    replaceDefaultThemes: false,
+
+    // Kaspa REST API instances, tried in this order with failover (users can edit the list
+    // in the ⚙️ settings). http:// is only accepted for localhost.
+    apiEndpoints: ['https://api.kaspa.org'],
+
+    // Boards offered by this deployment after the main protocol address. Threads are sent
+    // to the address of a board; users can add more boards from the interface.
+    //
+    //     { name: 'Kaspa FR', address: 'kaspa:...' }
+    boards: [],
+
+    // History backfill ("📜 Older" button): how far back to page through a board's
+    // transactions. Stops after `maxPages` pages of 200 transactions, or once it reaches
+    // `untilDate` (YYYY-MM-DD, null for no date limit), whichever comes first.
+    backfill: { maxPages: 25, untilDate: null },
+
+    // Kaspa wRPC (JSON) WebSocket for live mode, e.g. 'wss://node.example.org/kaspa/mainnet/wrpc/json'
+    // or the stand-in of the mock API 'ws://localhost:8081' (tools/mock-kaspa-api.js). null hides
+    // the 📡 live mode button.
+    liveEndpoint: null
+};
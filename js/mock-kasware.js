@@ -0,0 +1,245 @@
+/**
+ * =======================================================================================
+ * Kaster Protocol - Mock KasWare Provider
+ * =======================================================================================
+ * Stand-in for the KasWare extension (`window.kasware`) so that the interface can post
+ * and display messages with no wallet: requestAccounts, getAccounts, getBalance,
+ * sendKaspa, signMessage, getNetwork, disconnect and the accountsChanged /
+ * balanceChanged events. Posted transactions can be fed into the mock Kaspa API
+ * (tools/mock-kaspa-api.js), which closes the post -> display loop offline.
+ *
+ * Demo mode: open the interface with ?demo (or ?demo=http://localhost:8081 for another
+ * mock API). The mock wallet replaces KasWare, the interface reads the mock API and
+ * live mode (📡) follows its wRPC stand-in; it stays on for the browser tab until ?demo=0.
+ *
+ * Tests create providers directly, in the browser or in Node:
+ *
+ *     const kasware = kasterMockKasware.create({
+ *         accounts: ['kaspa:...'], balance: 5e8, seed: 'test', mockApi: 'http://localhost:8081'
+ *     });
+ *     kasware.failNext('sendKaspa', 'reject'); // The next sendKaspa() is rejected by the "user"
+ *
+ * Options: `accounts` (first one is selected), `balance` (sompi), `connected`, `seed`
+ * (txids are sha256(seed, nonce, transaction), so the same run gives the same txids),
+ * `latencyMs` (time the "user" takes to approve), `mockApi`, `failures`
+ * ({ method: 'reject' | 'error' | 'insufficient_funds' }, applied to every call), and
+ * `sendResult` ('txid', or 'transaction' for KasWare versions resolving with the
+ * serialized transaction).
+ * =======================================================================================
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.kasterMockKasware = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const DEMO_ACCOUNTS = [
+        'kaspa:qtvpflrqhxlpv0ncfn9ryk0knnhumvmwg2crjl8q0d8rer832xtggdrv8y0ck',
+        'kaspa:qpmdc75xdcen93fghxe4jd9un79na03v5qkmkuf363kxtvns9dn9ymfcx8txl'
+    ];
+    const DEFAULT_MOCK_API = 'http://localhost:8081';
+    const DEFAULT_BALANCE_SOMPI = 1000000000; // 10 KAS
+    const FEE_SOMPI = 2000;
+    const DEMO_STORAGE_KEY = 'kaster_demo_api';
+    const NONCE_STORAGE_KEY = 'kaster_mock_kasware_nonce';
+    const CONNECTED_STORAGE_KEY = 'kaster_mock_kasware_connected';
+
+    // Errors as KasWare raises them (4001: refused by the user)
+    const FAILURES = {
+        reject: () => Object.assign(new Error('User rejected the request.'), { code: 4001 }),
+        error: () => Object.assign(new Error('Internal error'), { code: -32603 }),
+        insufficient_funds: () => Object.assign(new Error('Insufficient balance'), { code: -32000 })
+    };
+
+    function storage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function sha256Hex(text) {
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function create(options = {}) {
+        const store = options.persist ? storage() : null;
+        const accounts = (options.accounts && options.accounts.length > 0 ? options.accounts : DEMO_ACCOUNTS).slice();
+        const failures = { ...(options.failures || {}) };
+        const failNextQueue = [];
+        const listeners = new Map();
+        const seed = options.seed || 'kaster-mock';
+        const sendResult = options.sendResult || 'txid';
+        const mockApi = options.mockApi === undefined ? DEFAULT_MOCK_API : options.mockApi;
+        let balance = options.balance ?? DEFAULT_BALANCE_SOMPI;
+        let connected = options.connected ?? (store ? store.getItem(CONNECTED_STORAGE_KEY) === 'true' : false);
+        let nonce = store ? Number(store.getItem(NONCE_STORAGE_KEY)) || 0 : 0;
+
+        const emit = (event, ...args) => (listeners.get(event) || []).forEach(handler => {
+            try {
+                handler(...args);
+            } catch (e) {
+                console.warn(`Mock KasWare ${event} listener error:`, e);
+            }
+        });
+        const setConnected = value => {
+            connected = value;
+            if (store) store.setItem(CONNECTED_STORAGE_KEY, String(value));
+        };
+
+        // Simulated approval delay, then the failure planned for this call if any
+        const approve = async method => {
+            if (options.latencyMs) await new Promise(resolve => setTimeout(resolve, options.latencyMs));
+            const planned = failNextQueue.findIndex(entry => entry.method === method);
+            const kind = planned !== -1 ? failNextQueue.splice(planned, 1)[0].kind : failures[method];
+            if (kind) throw (FAILURES[kind] || FAILURES.error)();
+        };
+        const requireConnection = () => {
+            if (!connected) throw Object.assign(new Error('Not connected'), { code: 4100 });
+        };
+
+        const provider = {
+            isMock: true,
+
+            async requestAccounts() {
+                await approve('requestAccounts');
+                setConnected(true);
+                return [accounts[0]];
+            },
+
+            async getAccounts() {
+                return connected ? [accounts[0]] : [];
+            },
+
+            async getBalance() {
+                requireConnection();
+                await approve('getBalance');
+                return { confirmed: balance, unconfirmed: 0, total: balance };
+            },
+
+            async getNetwork() {
+                return 'kaspa_mainnet';
+            },
+
+            async sendKaspa(toAddress, amountSompi, sendOptions = {}) {
+                requireConnection();
+                await approve('sendKaspa');
+                const amount = Number(amountSompi);
+                if (amount + FEE_SOMPI > balance) throw FAILURES.insufficient_funds();
+
+                const payload = sendOptions.payload || '';
+                const txid = await sha256Hex(`${seed}:${nonce}:${accounts[0]}:${toAddress}:${amount}:${payload}`);
+                nonce++;
+                if (store) store.setItem(NONCE_STORAGE_KEY, String(nonce));
+
+                const tx = {
+                    transaction_id: txid,
+                    hash: txid,
+                    payload,
+                    block_time: Date.now(),
+                    is_accepted: true,
+                    inputs: [{ previous_outpoint_address: accounts[0], previous_outpoint_amount: balance }],
+                    outputs: [
+                        { script_public_key_address: toAddress, amount },
+                        { script_public_key_address: accounts[0], amount: balance - amount - FEE_SOMPI }
+                    ]
+                };
+                provider.sentTransactions.push(tx);
+
+                if (mockApi) {
+                    // The mock Kaspa API serves it from now on, as if it had been accepted in a block
+                    const response = await fetch(`${mockApi}/mock/transactions`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(tx)
+                    });
+                    if (!response.ok) throw FAILURES.error();
+                }
+
+                balance -= amount + FEE_SOMPI;
+                emit('balanceChanged', { confirmed: balance, unconfirmed: 0, total: balance });
+                return sendResult === 'transaction' ? JSON.stringify({ id: txid, inputs: tx.inputs, outputs: tx.outputs }) : txid;
+            },
+
+            async signMessage(message) {
+                requireConnection();
+                await approve('signMessage');
+                return sha256Hex(`${seed}:${accounts[0]}:${message}`);
+            },
+
+            async disconnect() {
+                setConnected(false);
+                emit('accountsChanged', []);
+            },
+
+            on(event, handler) {
+                if (!listeners.has(event)) listeners.set(event, []);
+                listeners.get(event).push(handler);
+                return provider;
+            },
+
+            removeListener(event, handler) {
+                listeners.set(event, (listeners.get(event) || []).filter(candidate => candidate !== handler));
+                return provider;
+            },
+
+            // === Test controls ===
+            sentTransactions: [],
+
+            // `kind` is one of 'reject', 'error', 'insufficient_funds'
+            failNext(method, kind = 'reject') {
+                failNextQueue.push({ method, kind });
+            },
+
+            setFailure(method, kind = null) {
+                if (kind) failures[method] = kind;
+                else delete failures[method];
+            },
+
+            switchAccount(index) {
+                if (!accounts[index]) throw new Error(`No account ${index}`);
+                accounts.unshift(...accounts.splice(index, 1));
+                if (connected) emit('accountsChanged', [accounts[0]]);
+            },
+
+            setBalance(sompi) {
+                balance = sompi;
+                emit('balanceChanged', { confirmed: balance, unconfirmed: 0, total: balance });
+            }
+        };
+        return provider;
+    }
+
+    // Replaces window.kasware with a mock (the real extension included)
+    function install(options = {}) {
+        const provider = create({ persist: true, ...options });
+        root.kasware = provider;
+        console.log(`🧪 Mock KasWare installed (account ${(options.accounts || DEMO_ACCOUNTS)[0].substring(0, 15)}...)`);
+        return provider;
+    }
+
+    // ?demo[=<mock API URL>] turns demo mode on for the tab, ?demo=0 turns it off
+    function demoApi() {
+        if (typeof window === 'undefined' || typeof sessionStorage === 'undefined') return null;
+        const param = new URLSearchParams(window.location.search).get('demo');
+        if (param === '0') sessionStorage.removeItem(DEMO_STORAGE_KEY);
+        else if (param !== null) sessionStorage.setItem(DEMO_STORAGE_KEY, /^https?:\/\//.test(param) ? param.replace(/\/+$/, '') : DEFAULT_MOCK_API);
+        return sessionStorage.getItem(DEMO_STORAGE_KEY);
+    }
+
+    const root = typeof self !== 'undefined' ? self : globalThis;
+    const api = demoApi();
+    if (api) {
+        install({ mockApi: api });
+        // Read the mock API (and its wRPC stand-in) instead of the configured endpoints
+        root.kasterConfig = { ...(root.kasterConfig || {}), apiEndpoints: [api], liveEndpoint: api.replace(/^http/, 'ws'), demo: true };
+    }
+
+    return { DEMO_ACCOUNTS, create, install, isDemo: () => Boolean(api) };
+});
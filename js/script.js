@@ -14,10 +14,14 @@
  * 4.  Theme Management ........... Handles light and dark theme switching.
  * 5.  common.js .................. Shared UI logic, wallet connection, and modals.
  * 6.  Terms Management ........... UI logic for the content filtering modal.
- * 7.  script.js .................. Main logic for the index page (thread list).
- * 8.  thread.js .................. Logic for the single thread view page.
- * 9.  Refresh Functions .......... Handlers for manual data refreshing.
- * 10. Router ..................... Simple client-side router to switch between pages.
+ * 7.  Decode Diagnostics ......... Debug panel counting rejected payloads per reason.
+ * 8.  script.js .................. Main logic for the index page (thread list).
+ * 9.  thread.js .................. Logic for the single thread view page.
+ * 10. Refresh Functions .......... Handlers for manual data refreshing.
+ * 11. Router ..................... Simple client-side router to switch between pages.
+ *
+ * The payload wire format (encode/decode/validate) is not part of this bundle: it lives
+ * in js/kaster-codec.js, which must be loaded first and is exposed as window.kasterCodec.
  *
  * =======================================================================================
  */
@@ -383,7 +387,7 @@
         // =================================================================
         // --- kaster-db.js (Unchanged) ---
         // =================================================================
-        const KASTER_DB_NAME = 'KasterDB', KASTER_DB_VERSION = 6, HIDDEN_MESSAGES_STORE = 'hiddenMessages', BLACKLISTED_WALLETS_STORE = 'blacklistedWallets', THREAD_VISITS_STORE = 'threadVisits', THREADS_CACHE_STORE = 'threadsCache', MESSAGES_CACHE_STORE = 'messagesCache', CACHE_METADATA_STORE = 'cacheMetadata', WALLET_LAST_TX_STORE = 'walletLastTransactions', ARCHIVED_THREADS_STORE = 'archivedThreads', FILTERED_TERMS_STORE = 'filteredTerms';
+        const KASTER_DB_NAME = 'KasterDB', KASTER_DB_VERSION = 12, HIDDEN_MESSAGES_STORE = 'hiddenMessages', BLACKLISTED_WALLETS_STORE = 'blacklistedWallets', THREAD_VISITS_STORE = 'threadVisits', THREADS_CACHE_STORE = 'threadsCache', MESSAGES_CACHE_STORE = 'messagesCache', CACHE_METADATA_STORE = 'cacheMetadata', WALLET_LAST_TX_STORE = 'walletLastTransactions', ARCHIVED_THREADS_STORE = 'archivedThreads', FILTERED_TERMS_STORE = 'filteredTerms', RETRACTIONS_STORE = 'retractions', REACTIONS_STORE = 'reactions', POLL_VOTES_STORE = 'pollVotes', MENTIONS_STORE = 'mentions', TAG_INDEX_STORE = 'tagIndex', BOARDS_STORE = 'boards';
         window.kasterDB = {
             db: null,
             async init() {
@@ -412,6 +416,16 @@
                         if (!db.objectStoreNames.contains(WALLET_LAST_TX_STORE)) db.createObjectStore(WALLET_LAST_TX_STORE, { keyPath: 'address' });
                         if (!db.objectStoreNames.contains(ARCHIVED_THREADS_STORE)) db.createObjectStore(ARCHIVED_THREADS_STORE, { keyPath: 'txid' });
                         if (!db.objectStoreNames.contains(FILTERED_TERMS_STORE)) db.createObjectStore(FILTERED_TERMS_STORE, { keyPath: 'id', autoIncrement: true });
+                        if (!db.objectStoreNames.contains(RETRACTIONS_STORE)) db.createObjectStore(RETRACTIONS_STORE, { keyPath: 'targetTxid' });
+                        if (!db.objectStoreNames.contains(REACTIONS_STORE)) db.createObjectStore(REACTIONS_STORE, { keyPath: 'txid' }).createIndex('targetTxid', 'targetTxid');
+                        if (!db.objectStoreNames.contains(MENTIONS_STORE)) db.createObjectStore(MENTIONS_STORE, { keyPath: 'txid' }).createIndex('mentionedAddress', 'mentionedAddress');
+                        if (!db.objectStoreNames.contains(POLL_VOTES_STORE)) db.createObjectStore(POLL_VOTES_STORE, { keyPath: 'txid' }).createIndex('pollTxid', 'pollTxid');
+                        if (!db.objectStoreNames.contains(TAG_INDEX_STORE)) {
+                            const tagStore = db.createObjectStore(TAG_INDEX_STORE, { keyPath: 'id' });
+                            tagStore.createIndex('tag', 'tag');
+                            tagStore.createIndex('txid', 'txid');
+                        }
+                        if (!db.objectStoreNames.contains(BOARDS_STORE)) db.createObjectStore(BOARDS_STORE, { keyPath: 'address' });
                     };
                 });
             },
@@ -510,31 +524,36 @@
                 }
             },
 
-            async cacheThreads(threads) {
+            // Threads are cached per board: `board` is the address they were sent to
+            // (threads cached before boards existed belong to the main protocol address)
+            async cacheThreads(threads, board = PROTOCOL_ADDRESS) {
                 const tx = this.db.transaction([THREADS_CACHE_STORE, CACHE_METADATA_STORE], 'readwrite');
                 const threadsStore = tx.objectStore(THREADS_CACHE_STORE);
                 const metadataStore = tx.objectStore(CACHE_METADATA_STORE);
 
                 // Cache each thread
                 for (const thread of threads) {
-                    threadsStore.put({ ...thread, cachedAt: Date.now() });
+                    threadsStore.put({ ...thread, board: thread.board || board, cachedAt: Date.now() });
                 }
 
-                // Update global cache metadata
-                metadataStore.put({ key: 'threads_list', timestamp: Date.now() });
+                // Update the board's cache metadata
+                metadataStore.put({ key: threadsListKey(board), timestamp: Date.now() });
 
+                await this.indexTags(threads);
                 return tx.complete;
             },
 
-            async getCachedThreads() {
+            // All cached threads, or only those of one board
+            async getCachedThreads(board = null) {
                 return new Promise((resolve, reject) => {
                     const req = this.db.transaction([THREADS_CACHE_STORE], 'readonly').objectStore(THREADS_CACHE_STORE).getAll();
-                    req.onsuccess = () => resolve(req.result);
+                    req.onsuccess = () => resolve(board ? req.result.filter(thread => (thread.board || PROTOCOL_ADDRESS) === board) : req.result);
                     req.onerror = e => reject(e.target.error);
                 });
             },
 
-            async cacheThread(txid, messages, threadInfo) {
+            // `discovery` tells whether every address that may hold replies was searched back to the thread
+            async cacheThread(txid, messages, threadInfo, discovery = { complete: true, pendingAddresses: 0 }) {
                 const tx = this.db.transaction([MESSAGES_CACHE_STORE, CACHE_METADATA_STORE], 'readwrite');
                 const messagesStore = tx.objectStore(MESSAGES_CACHE_STORE);
                 const metadataStore = tx.objectStore(CACHE_METADATA_STORE);
@@ -545,8 +564,9 @@
                 }
 
                 // Update cache metadata for this thread
-                metadataStore.put({ key: `thread_${txid}`, timestamp: Date.now() });
+                metadataStore.put({ key: `thread_${txid}`, timestamp: Date.now(), discovery });
 
+                await this.indexTags(messages);
                 return tx.complete;
             },
 
@@ -576,18 +596,9 @@
                 });
             },
 
-            async getMissingThreads(currentThreadTxids) {
-                return new Promise((resolve, reject) => {
-                    const req = this.db.transaction([THREADS_CACHE_STORE], 'readonly').objectStore(THREADS_CACHE_STORE).getAll();
-                    req.onsuccess = () => {
-                        const cachedThreads = req.result;
-                        const missingThreads = cachedThreads.filter(thread =>
-                            !currentThreadTxids.includes(thread.txid)
-                        );
-                        resolve(missingThreads);
-                    };
-                    req.onerror = e => reject(e.target.error);
-                });
+            async getMissingThreads(currentThreadTxids, board = PROTOCOL_ADDRESS) {
+                const cachedThreads = await this.getCachedThreads(board);
+                return cachedThreads.filter(thread => !currentThreadTxids.includes(thread.txid));
             },
 
             async cleanExpiredCache(maxAgeMs = 1296000000) { // 15 days by default
@@ -601,7 +612,8 @@
                 const threadsReq = threadsStore.getAll();
                 threadsReq.onsuccess = () => {
                     for (const thread of threadsReq.result) {
-                        if (thread.cachedAt < cutoffTime) {
+                        // Backfilled threads are kept: they are too far back to come back from the API cheaply
+                        if (thread.cachedAt < cutoffTime && !thread.backfilled) {
                             threadsStore.delete(thread.txid);
                         }
                     }
@@ -620,14 +632,248 @@
                 return tx.complete;
             },
 
-            // === Wallet last transaction management methods ===
-            async setWalletLastTransaction(address, txid, timestamp = Date.now()) {
+            // === Retractions ===
+            // Kept apart from the caches so that a retraction stays in effect after its
+            // transaction has left the API page or the caches have expired
+            async recordRetractions(retractedMessages) {
+                const tx = this.db.transaction([RETRACTIONS_STORE, THREADS_CACHE_STORE, MESSAGES_CACHE_STORE], 'readwrite');
+                const retractionsStore = tx.objectStore(RETRACTIONS_STORE);
+                const cacheStores = [tx.objectStore(THREADS_CACHE_STORE), tx.objectStore(MESSAGES_CACHE_STORE)];
+
+                for (const message of retractedMessages) {
+                    const { retractedAt, retractionTxid } = message;
+                    retractionsStore.put({ targetTxid: message.txid, sender_address: message.sender_address, retractedAt, retractionTxid });
+
+                    // Cascade into the cached copies (thread list and thread pages)
+                    cacheStores.forEach(store => {
+                        const req = store.get(message.txid);
+                        req.onsuccess = () => {
+                            if (req.result && !req.result.retracted) {
+                                store.put({ ...req.result, retracted: true, retractedAt, retractionTxid });
+                            }
+                        };
+                    });
+                }
+
+                console.log(`🗑️ ${retractedMessages.length} retraction(s) recorded`);
+                return tx.complete;
+            },
+
+            async getRetractions() {
+                return new Promise((resolve, reject) => {
+                    const req = this.db.transaction([RETRACTIONS_STORE], 'readonly').objectStore(RETRACTIONS_STORE).getAll();
+                    req.onsuccess = () => resolve(new Map(req.result.map(item => [item.targetTxid, item])));
+                    req.onerror = e => reject(e.target.error);
+                });
+            },
+
+            // === Reactions ===
+            // Raw reaction records (see kasterCodec.toReactionRecord), one per transaction:
+            // counting happens when rendering so that the filters in force apply
+            async cacheReactions(records) {
+                const tx = this.db.transaction([REACTIONS_STORE], 'readwrite');
+                const store = tx.objectStore(REACTIONS_STORE);
+                records.forEach(record => store.put({ ...record, cachedAt: Date.now() }));
+                return tx.complete;
+            },
+
+            async getReactionsForTargets(targetTxids) {
+                const index = this.db.transaction([REACTIONS_STORE], 'readonly').objectStore(REACTIONS_STORE).index('targetTxid');
+                const lists = await Promise.all(targetTxids.map(targetTxid => new Promise((resolve, reject) => {
+                    const req = index.getAll(targetTxid);
+                    req.onsuccess = () => resolve(req.result);
+                    req.onerror = e => reject(e.target.error);
+                })));
+                return lists.flat();
+            },
+
+            // === Poll votes ===
+            // Raw vote records (see kasterCodec.toVoteRecord), kept after they leave the API page
+            async cachePollVotes(records) {
+                const tx = this.db.transaction([POLL_VOTES_STORE], 'readwrite');
+                const store = tx.objectStore(POLL_VOTES_STORE);
+                records.forEach(record => store.put({ ...record, cachedAt: Date.now() }));
+                return tx.complete;
+            },
+
+            async getPollVotes(pollTxid) {
+                return new Promise((resolve, reject) => {
+                    const req = this.db.transaction([POLL_VOTES_STORE], 'readonly').objectStore(POLL_VOTES_STORE).index('pollTxid').getAll(pollTxid);
+                    req.onsuccess = () => resolve(req.result);
+                    req.onerror = e => reject(e.target.error);
+                });
+            },
+
+            // === Mentions inbox ===
+            // Every thread and reply in the caches (threads list and thread pages), deduplicated
+            async getAllCachedMessages() {
+                const readAll = storeName => new Promise((resolve, reject) => {
+                    const req = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+                    req.onsuccess = () => resolve(req.result);
+                    req.onerror = e => reject(e.target.error);
+                });
+                const [threads, messages] = await Promise.all([readAll(THREADS_CACHE_STORE), readAll(MESSAGES_CACHE_STORE)]);
+                return Array.from(new Map([...threads, ...messages].map(message => [message.txid, message])).values());
+            },
+
+            // Adds new mentions as unread; mentions already in the inbox keep their read state
+            async recordMentions(mentions) {
+                const tx = this.db.transaction([MENTIONS_STORE], 'readwrite');
+                const store = tx.objectStore(MENTIONS_STORE);
+                mentions.forEach(mention => {
+                    const req = store.get(mention.txid);
+                    req.onsuccess = () => {
+                        store.put(req.result ? { ...mention, read: req.result.read } : { ...mention, read: false, recordedAt: Date.now() });
+                    };
+                });
+                return tx.complete;
+            },
+
+            async getMentions(address) {
+                return new Promise((resolve, reject) => {
+                    const req = this.db.transaction([MENTIONS_STORE], 'readonly').objectStore(MENTIONS_STORE).index('mentionedAddress').getAll(address);
+                    req.onsuccess = () => resolve(req.result.sort((a, b) => new Date(b.block_time) - new Date(a.block_time)));
+                    req.onerror = e => reject(e.target.error);
+                });
+            },
+
+            async markMentionsRead(txids) {
+                const tx = this.db.transaction([MENTIONS_STORE], 'readwrite');
+                const store = tx.objectStore(MENTIONS_STORE);
+                txids.forEach(txid => {
+                    const req = store.get(txid);
+                    req.onsuccess = () => { if (req.result && !req.result.read) store.put({ ...req.result, read: true }); };
+                });
+                return new Promise((resolve, reject) => {
+                    tx.oncomplete = () => resolve();
+                    tx.onerror = e => reject(e.target.error);
+                });
+            },
+
+            // === Board methods ===
+            // Boards added by the user; built-in boards come from the code and js/kaster-config.js
+            async addBoard(board) {
+                const tx = this.db.transaction([BOARDS_STORE], 'readwrite');
+                tx.objectStore(BOARDS_STORE).put({ address: board.address, name: board.name, addedAt: Date.now() });
+                return new Promise((resolve, reject) => {
+                    tx.oncomplete = () => resolve();
+                    tx.onerror = e => reject(e.target.error);
+                });
+            },
+
+            async removeBoard(address) {
+                const tx = this.db.transaction([BOARDS_STORE], 'readwrite');
+                tx.objectStore(BOARDS_STORE).delete(address);
+                return new Promise((resolve, reject) => {
+                    tx.oncomplete = () => resolve();
+                    tx.onerror = e => reject(e.target.error);
+                });
+            },
+
+            async getBoards() {
+                return new Promise((resolve, reject) => {
+                    const req = this.db.transaction([BOARDS_STORE], 'readonly').objectStore(BOARDS_STORE).getAll();
+                    req.onsuccess = () => resolve(req.result.sort((a, b) => a.addedAt - b.addedAt));
+                    req.onerror = e => reject(e.target.error);
+                });
+            },
+
+            // Last time the thread list of a board was displayed
+            async markBoardVisited(address, timestamp = Date.now()) {
+                return this.setCacheMetadata(`board_visit_${address}`, timestamp);
+            },
+
+            async getBoardLastVisit(address) {
+                const metadata = await this.getCacheMetadata(`board_visit_${address}`);
+                return metadata ? metadata.timestamp : 0;
+            },
+
+            // === History backfill methods ===
+            // Threads found by paging back through a board's history. A thread already in the
+            // cache is left as is, unless the backfill itself cached it and has since found more
+            // of it (late parts, edits, retraction). The board's list freshness is not touched.
+            // Returns the number of threads added
+            async cacheBackfilledThreads(threads, board = PROTOCOL_ADDRESS) {
+                const cached = new Map((await this.getCachedThreads()).map(thread => [thread.txid, thread]));
+                const added = threads.filter(thread => !cached.has(thread.txid));
+                const repaired = threads.filter(thread => {
+                    const previous = cached.get(thread.txid);
+                    return previous?.backfilled && (previous.message !== thread.message || previous.title !== thread.title
+                        || Boolean(previous.incomplete) !== Boolean(thread.incomplete) || Boolean(previous.retracted) !== Boolean(thread.retracted));
+                });
+
+                const tx = this.db.transaction([THREADS_CACHE_STORE], 'readwrite');
+                const threadsStore = tx.objectStore(THREADS_CACHE_STORE);
+                for (const thread of added) {
+                    threadsStore.put({ ...thread, board: thread.board || board, backfilled: true, cachedAt: Date.now() });
+                }
+                for (const thread of repaired) {
+                    const previous = cached.get(thread.txid);
+                    threadsStore.put({ ...previous, ...thread, board: previous.board, reply_count: previous.reply_count, backfilled: true, cachedAt: Date.now() });
+                }
+
+                await this.indexTags([...added, ...repaired]);
+                return added.length;
+            },
+
+            // Progress of a board's backfill: { before, pages, threadsFound, done, reason, inProgress }
+            async getBackfillState(address) {
+                const metadata = await this.getCacheMetadata(`backfill_${address}`);
+                return metadata ? metadata.state : null;
+            },
+
+            async setBackfillState(address, state) {
+                const tx = this.db.transaction([CACHE_METADATA_STORE], 'readwrite');
+                tx.objectStore(CACHE_METADATA_STORE).put({ key: `backfill_${address}`, timestamp: Date.now(), state });
+                return tx.complete;
+            },
+
+            // === Hashtag index methods ===
+            // One entry per (tag, message); replies point to their thread so browsing a tag lists threads
+            async indexTags(messages) {
+                const tx = this.db.transaction([TAG_INDEX_STORE], 'readwrite');
+                const store = tx.objectStore(TAG_INDEX_STORE);
+                messages.forEach(message => {
+                    const isThread = window.kasterCodec.isThreadPayload(message);
+                    const tags = message.retracted ? [] : window.kasterCodec.extractHashtags(`${isThread ? message.title || '' : ''}\n${message.message || ''}`);
+                    // Re-indexing replaces the previous tags of the message (edits, retractions)
+                    const req = store.index('txid').getAllKeys(message.txid);
+                    req.onsuccess = () => {
+                        req.result.forEach(key => store.delete(key));
+                        tags.forEach(tag => store.put({
+                            id: `${tag}:${message.txid}`,
+                            tag,
+                            txid: message.txid,
+                            threadTxid: isThread ? message.txid : message.parentTxid,
+                            sender_address: message.sender_address
+                        }));
+                    };
+                });
+                return new Promise((resolve, reject) => {
+                    tx.oncomplete = () => resolve();
+                    tx.onerror = e => reject(e.target.error);
+                });
+            },
+
+            async getTagEntries() {
+                return new Promise((resolve, reject) => {
+                    const req = this.db.transaction([TAG_INDEX_STORE], 'readonly').objectStore(TAG_INDEX_STORE).getAll();
+                    req.onsuccess = () => resolve(req.result);
+                    req.onerror = e => reject(e.target.error);
+                });
+            },
+
+            // === Address sync methods ===
+            // Per address: the sync cursor (newest transaction seen: txid, block time, blue score)
+            // and its window, the txids and block times of its latest 200 transactions with the
+            // Kaster messages they carry. Records written before the cursor existed have no lastBlockTime
+            async setAddressSync(address, sync) {
                 const tx = this.db.transaction([WALLET_LAST_TX_STORE], 'readwrite');
-                tx.objectStore(WALLET_LAST_TX_STORE).put({ address, lastTxid: txid, lastCheckTimestamp: timestamp });
+                tx.objectStore(WALLET_LAST_TX_STORE).put({ ...sync, address, lastCheckTimestamp: Date.now() });
                 return tx.complete;
             },
 
-            async getWalletLastTransaction(address) {
+            async getAddressSync(address) {
                 return new Promise((resolve, reject) => {
                     const req = this.db.transaction([WALLET_LAST_TX_STORE], 'readonly').objectStore(WALLET_LAST_TX_STORE).get(address);
                     req.onsuccess = () => resolve(req.result);
@@ -635,6 +881,19 @@
                 });
             },
 
+            // Deep reply scan of one thread in one author's history, below their window:
+            // { upTo, before, complete, replies } (block times in ms)
+            async getReplyScan(threadTxid, address) {
+                const metadata = await this.getCacheMetadata(`reply_scan_${threadTxid}_${address}`);
+                return metadata ? metadata.scan : null;
+            },
+
+            async setReplyScan(threadTxid, address, scan) {
+                const tx = this.db.transaction([CACHE_METADATA_STORE], 'readwrite');
+                tx.objectStore(CACHE_METADATA_STORE).put({ key: `reply_scan_${threadTxid}_${address}`, timestamp: Date.now(), scan });
+                return tx.complete;
+            },
+
             // === Reply count cache management methods ===
             async setCachedReplyCount(threadTxid, replyCount, timestamp = Date.now()) {
                 const tx = this.db.transaction([CACHE_METADATA_STORE], 'readwrite');
@@ -754,252 +1013,834 @@
         };
 
         // =================================================================
-        // --- kaster-api.js
-        // This file implements the logic for encoding/decoding payloads
-        // and interacting with the Kaspa network according to the Kaster Protocol specifications.
+        // --- Request Scheduler ---
+        // Shared by every API call: at most MAX_CONCURRENT_REQUESTS tasks at once, a token
+        // bucket per host, retries with exponential backoff and jitter (honouring Retry-After),
+        // de-duplication of identical requests and cancellation when the page is left.
         // =================================================================
-        const API_BASE_URL = 'https://api.kaspa.org';
-        const PROTOCOL_ADDRESS = 'kaspa:qz8sa5erejgulv5u8q795ssgsv8rx3m488ktwvfqhc3rqmzc9342j0525pnmh';
-        const AMOUNT_TO_SEND_SOMPIS = 12000000; // 0.12 KAS
-        const MAX_TITLE_BYTES = 40, MAX_MESSAGE_BYTES = 400; // Consistent limit of 40 bytes
-
-        window.kasterAPI = {
-            // System for pooling ongoing calls to avoid API duplicates
-            _pendingThreadCalls: new Map(),
+        const MAX_CONCURRENT_REQUESTS = 4;
+        const HOST_BUCKET_CAPACITY = 6; // Burst of requests per host
+        const HOST_REFILL_PER_SECOND = 3;
+        const MAX_REQUEST_RETRIES = 3;
+        const RETRY_BASE_DELAY_MS = 1000;
+        const RETRY_MAX_DELAY_MS = 30000;
+
+        // Thrown by a task to be run again after a backoff; `retryAfterMs` comes from Retry-After
+        class RetryableRequestError extends Error {
+            constructor(message, retryAfterMs = null) {
+                super(message);
+                this.name = 'RetryableRequestError';
+                this.retryAfterMs = retryAfterMs;
+            }
+        }
 
-            async fetchThreads() {
-                // Check if cache is valid (adaptive delay)
-                const refreshDelay = getRefreshDelay(window.currentState);
-                const isCacheValid = await window.kasterDB.isCacheValid('threads_list', refreshDelay);
+        // Retry-After is either a number of seconds or an HTTP date
+        function parseRetryAfter(value) {
+            if (!value) return null;
+            const seconds = Number(value);
+            if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+            const date = Date.parse(value);
+            return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+        }
 
-                if (isCacheValid) {
-                    console.log('🟢 Using cache for thread list');
+        // AbortSignal.any() where available
+        function anySignal(signals) {
+            if (AbortSignal.any) return AbortSignal.any(signals);
+            const controller = new AbortController();
+            signals.forEach(signal => {
+                if (signal.aborted) controller.abort();
+                else signal.addEventListener('abort', () => controller.abort(), { once: true });
+            });
+            return controller.signal;
+        }
 
-                    // Retrieve cached threads
-                    const cachedThreads = await window.kasterDB.getCachedThreads();
+        function createAbortError() {
+            return new DOMException('Request cancelled', 'AbortError');
+        }
 
-                    // Clean expired cache in the background
-                    window.kasterDB.cleanExpiredCache().catch(e => console.warn('Error cleaning cache:', e));
+        // Resolves after `ms`, or rejects as soon as `signal` aborts
+        function abortableDelay(ms, signal) {
+            return new Promise((resolve, reject) => {
+                if (signal?.aborted) return reject(createAbortError());
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }, ms);
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(createAbortError());
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+        }
 
-                    return cachedThreads.map(thread => ({
-                        ...thread,
-                        cachedAt: undefined // Remove cachedAt property for display
-                    }));
-                }
+        window.kasterScheduler = {
+            _active: 0,
+            _queue: [], // { resolve, reject, signal }
+            _buckets: new Map(), // host -> { tokens, updatedAt, pausedUntil }
+            _pending: new Map(), // de-duplication key -> { promise, controller, callers }
+            _controller: new AbortController(),
 
-                console.log('🔄 API call to retrieve threads with optimization');
+            // Signal aborted by cancelAll(), for tasks started before it
+            get signal() {
+                return this._controller.signal;
+            },
 
-                // Retrieve threads with optimization by tracking the last transaction
-                const { threads, currentThreadTxids } = await this.fetchOptimizedThreadsList();
+            // Aborts every queued, waiting or running request (e.g. the user navigates away)
+            cancelAll() {
+                this._controller.abort();
+                this._controller = new AbortController();
+                this._pending.clear();
+                this._queue.splice(0).forEach(waiter => waiter.reject(createAbortError()));
+            },
 
-                // Retrieve missing threads from cache (those no longer in the last 200 transactions)
-                try {
-                    const missingThreads = await window.kasterDB.getMissingThreads(currentThreadTxids);
-                    const archivedThreadIds = await window.kasterDB.getArchivedThreads();
+            async _acquireSlot(signal) {
+                if (this._active < MAX_CONCURRENT_REQUESTS) {
+                    this._active++;
+                    return;
+                }
+                await new Promise((resolve, reject) => {
+                    const onAbort = () => {
+                        const index = this._queue.indexOf(waiter);
+                        if (index !== -1) this._queue.splice(index, 1);
+                        reject(createAbortError());
+                    };
+                    // The listener goes away with the waiter, so long-lived signals don't pile them up
+                    const waiter = {
+                        resolve: () => { signal.removeEventListener('abort', onAbort); resolve(); },
+                        reject: (error) => { signal.removeEventListener('abort', onAbort); reject(error); }
+                    };
+                    this._queue.push(waiter);
+                    signal.addEventListener('abort', onAbort, { once: true });
+                });
+            },
 
-                    // Process all missing threads
-                    for (const thread of missingThreads) {
-                        // Mark as archived (no longer in the current 200)
-                        thread.archived = true;
-                        thread.cachedAt = undefined;
+            // The slot goes straight to the next waiter, so _active is unchanged in that case
+            _releaseSlot() {
+                const next = this._queue.shift();
+                if (next) next.resolve();
+                else this._active--;
+            },
 
-                        // Permanently save archived status in DB
-                        if (!archivedThreadIds.includes(thread.txid)) {
-                            try {
-                                await window.kasterDB.markThreadAsArchived(thread.txid, 'out_of_recent_transactions');
-                                console.log(`📦 Thread ${thread.txid} saved as archived (out of last 200 TXs)`);
-                            } catch (e) {
-                                console.warn(`Error saving archive ${thread.txid}:`, e);
-                            }
-                        }
+            /**
+             * Waits for a token of `host` (refilled continuously, HOST_REFILL_PER_SECOND per second).
+             * A host paused by a 429 gives no token before the end of its Retry-After.
+             */
+            async takeToken(host, signal = this.signal) {
+                for (;;) {
+                    const now = Date.now();
+                    const bucket = this._buckets.get(host) || { tokens: HOST_BUCKET_CAPACITY, updatedAt: now, pausedUntil: 0 };
+                    bucket.tokens = Math.min(HOST_BUCKET_CAPACITY, bucket.tokens + ((now - bucket.updatedAt) / 1000) * HOST_REFILL_PER_SECOND);
+                    bucket.updatedAt = now;
+                    this._buckets.set(host, bucket);
+
+                    if (bucket.pausedUntil <= now && bucket.tokens >= 1) {
+                        bucket.tokens -= 1;
+                        return;
                     }
-
-                    // Combine current threads and archived threads
-                    threads.push(...missingThreads);
-
-                    console.log(`📦 ${missingThreads.length} threads retrieved from cache`);
-                } catch (e) {
-                    console.warn('Error retrieving missing threads:', e);
+                    const wait = bucket.pausedUntil > now ? bucket.pausedUntil - now : ((1 - bucket.tokens) / HOST_REFILL_PER_SECOND) * 1000;
+                    await abortableDelay(Math.ceil(wait), signal);
                 }
+            },
 
-                // Cache new threads
-                try {
-                    await window.kasterDB.cacheThreads(threads.filter(t => !t.archived));
-                    console.log(`💾 ${threads.filter(t => !t.archived).length} threads cached`);
-                } catch (e) {
-                    console.warn('Error caching threads:', e);
-                }
+            // Stops handing out tokens for `host` (429 with Retry-After)
+            pauseHost(host, ms) {
+                const bucket = this._buckets.get(host) || { tokens: 0, updatedAt: Date.now(), pausedUntil: 0 };
+                bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+                this._buckets.set(host, bucket);
+            },
 
-                return threads;
+            // Full jitter on an exponential curve, never shorter than the server's Retry-After
+            backoffDelay(attempt, retryAfterMs = null) {
+                const exponential = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+                const jittered = exponential / 2 + Math.random() * exponential / 2;
+                return Math.max(jittered, retryAfterMs || 0);
             },
 
-            async fetchOptimizedThreadsList() {
-                try {
-                    // Retrieve the last checked transaction for the protocol address
-                    const lastTxInfo = await window.kasterDB.getWalletLastTransaction(PROTOCOL_ADDRESS);
+            /**
+             * Callers asking for the same `key` while a call is in progress share its result.
+             * `fn(signal)` runs once, with a signal of its own: a caller aborting its `signal`
+             * only rejects its own promise, and the call itself is aborted once every caller
+             * has aborted. A caller without a signal keeps the call alive.
+             */
+            dedupe(key, fn, signal = null) {
+                let entry = this._pending.get(key);
+                if (entry) {
+                    console.log(`⚡ Call in progress detected for ${key}, reusing result`);
+                } else {
+                    const controller = new AbortController();
+                    entry = { controller, callers: 0, promise: Promise.resolve().then(() => fn(controller.signal)) };
+                    this._pending.set(key, entry);
+                    const cleanup = () => { if (this._pending.get(key) === entry) this._pending.delete(key); };
+                    entry.promise.then(cleanup, cleanup);
+                }
+                return this._joinPending(key, entry, signal);
+            },
 
-                    console.log(`🔍 Optimizing threads from ${PROTOCOL_ADDRESS.substring(0, 15)}...`);
-                    if (lastTxInfo) {
-                        console.log(`📋 Last checked thread TX: ${lastTxInfo.lastTxid.substring(0, 10)}... at ${new Date(lastTxInfo.lastCheckTimestamp).toLocaleTimeString()}`);
-                    }
+            _joinPending(key, entry, signal) {
+                entry.callers++;
+                if (!signal) return entry.promise;
 
-                    // Retrieve protocol transactions (limit 200)
-                    const endpoint = `${API_BASE_URL}/addresses/${PROTOCOL_ADDRESS}/full-transactions-page?limit=200&resolve_previous_outpoints=light`;
-                    const response = await fetch(endpoint);
-                    if (!response.ok) throw new Error(`API Error: ${response.statusText}`);
-                    const transactions = await response.json();
+                const leave = () => {
+                    if (--entry.callers > 0) return;
+                    // Nobody waits for it any more: later callers start afresh
+                    if (this._pending.get(key) === entry) this._pending.delete(key);
+                    entry.controller.abort();
+                };
+                if (signal.aborted) {
+                    leave();
+                    return Promise.reject(createAbortError());
+                }
+                return new Promise((resolve, reject) => {
+                    const onAbort = () => {
+                        leave();
+                        reject(createAbortError());
+                    };
+                    signal.addEventListener('abort', onAbort, { once: true });
+                    entry.promise.then(value => {
+                        signal.removeEventListener('abort', onAbort);
+                        resolve(value);
+                    }, error => {
+                        signal.removeEventListener('abort', onAbort);
+                        reject(error);
+                    });
+                });
+            },
 
-                    if (!transactions || transactions.length === 0) {
-                        return { threads: [], currentThreadTxids: [] };
+            /**
+             * Runs `task(signal)` in a concurrency slot. A task that throws a
+             * RetryableRequestError is run again after a backoff, up to `retries` times.
+             * `signal` aborts with cancelAll() or with the caller's own `options.signal`.
+             */
+            async schedule(task, { retries = MAX_REQUEST_RETRIES, signal: callerSignal } = {}) {
+                const signal = callerSignal ? anySignal([this.signal, callerSignal]) : this.signal;
+                for (let attempt = 0; ; attempt++) {
+                    await this._acquireSlot(signal);
+                    let retryError;
+                    try {
+                        if (signal.aborted) throw createAbortError();
+                        return await task(signal);
+                    } catch (error) {
+                        if (!(error instanceof RetryableRequestError) || attempt >= retries || signal.aborted) throw error;
+                        retryError = error;
+                    } finally {
+                        this._releaseSlot();
                     }
 
-                    // STEP 1: Process ALL 200 transactions to get the complete reference of current threads
-                    const allCurrentThreads = [];
-                    const allCurrentThreadTxids = [];
+                    // The backoff is spent outside of a slot
+                    const delay = this.backoffDelay(attempt, retryError.retryAfterMs);
+                    console.warn(`⏳ ${retryError.message}, retry ${attempt + 1}/${retries} in ${Math.round(delay / 1000)}s`);
+                    await abortableDelay(delay, signal);
+                }
+            }
+        };
 
-                    for (const tx of transactions) {
-                        try {
-                            const decoded = this.decodeTransactionPayload(tx.payload);
-                            // If decoding returns null (title > 40 characters), ignore completely
-                            if (decoded && decoded.parentTxid === '0000000000000000000000000000000000000000000000000000000000000000') {
-                                const thread = {
-                                    ...decoded,
-                                    txid: tx.transaction_id,
-                                    sender_address: tx.inputs[0]?.previous_outpoint_address,
-                                    block_time: new Date(tx.block_time).toISOString(),
-                                    reply_count: 0 // Will be updated by updateThreadReplyCount
-                                };
-                                allCurrentThreads.push(thread);
-                                allCurrentThreadTxids.push(thread.txid);
-                            }
-                        } catch (e) { /* Ignore invalid payloads */ }
-                    }
+        // Leaving the page (link, back button, reload) drops the requests of the current page
+        window.addEventListener('pagehide', () => window.kasterScheduler.cancelAll());
 
-                    let threadsToReturn = allCurrentThreads;
-                    let isOptimized = false;
+        // =================================================================
+        // --- API Transport ---
+        // Every Kaspa REST call goes through kasterTransport.fetch(path): it tries the
+        // configured endpoints in order, skips the ones that recently failed and fails over
+        // to the next one on network errors, timeouts, 5xx and 429 responses. Requests run
+        // through kasterScheduler, which retries when every endpoint failed.
+        // =================================================================
+        const DEFAULT_API_ENDPOINTS = (window.kasterConfig?.apiEndpoints?.length ? window.kasterConfig.apiEndpoints : ['https://api.kaspa.org']);
+        const API_REQUEST_TIMEOUT_MS = 15000;
+        const API_HEALTH_TIMEOUT_MS = 5000;
+        const API_COOLDOWN_MS = 60000; // First pause after a failure, doubled on each failure in a row
+        const API_MAX_COOLDOWN_MS = 600000;
+
+        // Plain http is only accepted for a local instance (mock server, self-hosted node on this machine)
+        function normalizeApiEndpoint(value) {
+            let url;
+            try {
+                url = new URL(String(value || '').trim());
+            } catch (e) {
+                return null;
+            }
+            const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+            if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) return null;
+            return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+        }
 
-                    // STEP 2: Conditional optimization based on whether there are new transactions
-                    if (lastTxInfo && lastTxInfo.lastTxid) {
-                        const lastTxIndex = transactions.findIndex(tx => tx.transaction_id === lastTxInfo.lastTxid);
+        window.kasterTransport = {
+            _health: new Map(), // endpoint -> { failures, downUntil, latencyMs, lastError, checkedAt }
 
-                        if (lastTxIndex !== -1) {
-                            // Check if there are new transactions
-                            const newTransactionsCount = lastTxIndex;
+            getEndpoints() {
+                // Demo mode (js/mock-kasware.js) always reads its mock API
+                if (window.kasterConfig?.demo) return DEFAULT_API_ENDPOINTS.map(normalizeApiEndpoint).filter(Boolean);
+                try {
+                    const saved = JSON.parse(localStorage.getItem('kaster_api_endpoints') || 'null');
+                    const endpoints = Array.isArray(saved) ? saved.map(normalizeApiEndpoint).filter(Boolean) : [];
+                    if (endpoints.length > 0) return endpoints;
+                } catch (e) {}
+                return DEFAULT_API_ENDPOINTS.map(normalizeApiEndpoint).filter(Boolean);
+            },
 
-                            if (newTransactionsCount === 0) {
-                                // NO new transactions - maximum optimization
-                                try {
-                                    const cachedThreads = await window.kasterDB.getCachedThreads();
+            setEndpoints(endpoints) {
+                const normalized = Array.from(new Set(endpoints.map(normalizeApiEndpoint).filter(Boolean)));
+                if (normalized.length === 0) throw new Error(window.i18n ? window.i18n.t('api.no_endpoint') : 'Keep at least one API endpoint.');
+                localStorage.setItem('kaster_api_endpoints', JSON.stringify(normalized));
+                return normalized;
+            },
 
-                                    // Intelligently combine: current threads (reference) + cache for details
-                                    const threadsMap = new Map();
+            resetEndpoints() {
+                localStorage.removeItem('kaster_api_endpoints');
+                this._health.clear();
+            },
 
-                                    // First, retrieve the list of threads marked as archived in DB
-                                    const archivedThreadIds = await window.kasterDB.getArchivedThreads();
+            getHealth(endpoint) {
+                return this._health.get(endpoint) || { failures: 0, downUntil: 0, latencyMs: null, lastError: null, checkedAt: null };
+            },
 
-                                    // Mark all cached threads according to DB status + current logic
-                                    for (const cached of cachedThreads) {
-                                        const isPermanentlyArchived = archivedThreadIds.includes(cached.txid);
-                                        const isStillCurrent = allCurrentThreadTxids.includes(cached.txid);
+            _recordSuccess(endpoint, latencyMs) {
+                this._health.set(endpoint, { failures: 0, downUntil: 0, latencyMs, lastError: null, checkedAt: Date.now() });
+            },
 
+            _recordFailure(endpoint, error) {
+                const health = this.getHealth(endpoint);
+                const failures = health.failures + 1;
+                const cooldown = Math.min(API_COOLDOWN_MS * Math.pow(2, failures - 1), API_MAX_COOLDOWN_MS);
+                this._health.set(endpoint, { ...health, failures, downUntil: Date.now() + cooldown, lastError: error, checkedAt: Date.now() });
+            },
 
-                                        threadsMap.set(cached.txid, {
-                                            ...cached,
-                                            archived: isPermanentlyArchived || !isStillCurrent,
-                                            cachedAt: undefined
-                                        });
-                                    }
+            // Endpoints in their configured order, the ones cooling down after a failure last
+            _orderedEndpoints() {
+                const now = Date.now();
+                const endpoints = this.getEndpoints();
+                return [
+                    ...endpoints.filter(endpoint => this.getHealth(endpoint).downUntil <= now),
+                    ...endpoints.filter(endpoint => this.getHealth(endpoint).downUntil > now)
+                ];
+            },
 
-                                    // Then add current threads that are not in cache
-                                    allCurrentThreads.forEach(current => {
-                                        if (!threadsMap.has(current.txid)) {
-                                            threadsMap.set(current.txid, current); // Not archived because in current 200
-                                        }
-                                    });
-
-                                    threadsToReturn = Array.from(threadsMap.values());
-                                    isOptimized = true;
-                                    console.log(`⚡ MAX Optimization: no new TX, cache + reference combination (${threadsToReturn.length} threads, ${threadsToReturn.filter(t => t.archived).length} archived)`);
-                                } catch (e) {
-                                    console.warn('Error retrieving cached threads:', e);
-                                    threadsToReturn = allCurrentThreads; // Safe fallback
-                                }
-                            } else {
-                                // There are new transactions
-                                isOptimized = true;
-                                console.log(`⚡ Optimization: ${newTransactionsCount} new transactions detected, full processing`);
-                                // Use all current threads (complete reference)
-                                threadsToReturn = allCurrentThreads;
-                            }
-                        } else {
-                            console.log(`⚠️ Last checked thread TX not found in the last 200, full check`);
-                            // No optimization possible
-                            threadsToReturn = allCurrentThreads;
-                        }
-                    } else {
-                        console.log(`🆕 First thread check, full processing`);
-                        // First time, no optimization
-                        threadsToReturn = allCurrentThreads;
-                    }
+            async _fetchWithTimeout(url, options, timeoutMs) {
+                const controller = new AbortController();
+                const timer = setTimeout(() => controller.abort(), timeoutMs);
+                try {
+                    const signal = options.signal ? anySignal([options.signal, controller.signal]) : controller.signal;
+                    return await fetch(url, { ...options, signal });
+                } finally {
+                    clearTimeout(timer);
+                }
+            },
 
-                    // STEP 3: Update the last checked transaction
-                    if (transactions.length > 0) {
-                        const mostRecentTx = transactions[0];
-                        await window.kasterDB.setWalletLastTransaction(PROTOCOL_ADDRESS, mostRecentTx.transaction_id, Date.now());
+            /**
+             * fetch() against the API: `path` starts with "/" (e.g. "/transactions/<txid>").
+             * Resolves with the first Response that is not a server-side failure (a 404 is
+             * returned as is); rejects when every endpoint kept failing, or when cancelled.
+             * Identical GET requests in flight share one network call.
+             */
+            fetch(path, options = {}) {
+                const run = (signal) => window.kasterScheduler.schedule(scheduledSignal => this._fetchOnce(path, options, scheduledSignal), { signal });
+                if ((options.method || 'GET').toUpperCase() !== 'GET') return run(options.signal);
+
+                // The shared request is only aborted once every caller has aborted its
+                // options.signal; each caller reads its own copy of the shared response
+                return window.kasterScheduler.dedupe(`GET ${path}`, run, options.signal).then(response => response.clone());
+            },
 
-                        if (isOptimized) {
-                            console.log(`✅ Efficient optimization: ${threadsToReturn.length} threads returned, last TX updated`);
+            // One pass over the endpoints; retryable when none of them answered properly
+            async _fetchOnce(path, options, signal) {
+                let lastError = null;
+                let retryAfterMs = null;
+                for (const endpoint of this._orderedEndpoints()) {
+                    const host = new URL(endpoint).host;
+                    await window.kasterScheduler.takeToken(host, signal);
+                    const startedAt = Date.now();
+                    try {
+                        const response = await this._fetchWithTimeout(`${endpoint}${path}`, { ...options, signal }, API_REQUEST_TIMEOUT_MS);
+                        if (response.status >= 500 || response.status === 429) {
+                            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                            if (retryAfter !== null) {
+                                if (response.status === 429) window.kasterScheduler.pauseHost(host, retryAfter);
+                                retryAfterMs = retryAfterMs === null ? retryAfter : Math.min(retryAfterMs, retryAfter);
+                            }
+                            throw new Error(`HTTP ${response.status}`);
                         }
+                        this._recordSuccess(endpoint, Date.now() - startedAt);
+                        return response;
+                    } catch (error) {
+                        if (signal.aborted) throw createAbortError();
+                        lastError = error.name === 'AbortError' ? new Error('Timeout') : error;
+                        this._recordFailure(endpoint, lastError.message);
+                        console.warn(`🔁 API endpoint ${endpoint} failed (${lastError.message}), trying the next one`);
                     }
+                }
+                if (!lastError) throw new Error('No API endpoint configured');
+                throw new RetryableRequestError(`Kaspa API unavailable (${lastError.message})`, retryAfterMs);
+            },
 
-                    return { threads: threadsToReturn, currentThreadTxids: allCurrentThreadTxids };
-
+            // Pings /info/health of an endpoint and updates its status
+            async checkHealth(endpoint) {
+                await window.kasterScheduler.takeToken(new URL(endpoint).host);
+                const startedAt = Date.now();
+                try {
+                    const response = await this._fetchWithTimeout(`${endpoint}/info/health`, {}, API_HEALTH_TIMEOUT_MS);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    this._recordSuccess(endpoint, Date.now() - startedAt);
+                    return true;
                 } catch (error) {
-                    console.warn(`Error during optimized thread retrieval:`, error);
-                    // Fallback to classic method
-                    return await this.fetchThreadsClassic();
+                    this._recordFailure(endpoint, error.name === 'AbortError' ? 'Timeout' : error.message);
+                    return false;
                 }
             },
 
-            async fetchThreadsClassic() {
-                console.log('📞 Fallback to classic thread retrieval');
+            async checkAllHealth() {
+                const results = [];
+                for (const endpoint of this.getEndpoints()) {
+                    results.push({ endpoint, ok: await this.checkHealth(endpoint) });
+                }
+                return results;
+            }
+        };
 
-                const endpoint = `${API_BASE_URL}/addresses/${PROTOCOL_ADDRESS}/full-transactions-page?limit=200&resolve_previous_outpoints=light`;
-                const response = await fetch(endpoint);
-                if (!response.ok) throw new Error(`API Error: ${response.statusText}`);
-                const transactions = await response.json();
+        // =================================================================
+        // --- Live Updates ---
+        // Optional stream of new transactions over a Kaspa wRPC (JSON) WebSocket. The stream
+        // only says which watched address received a transaction; pages then read the new
+        // transactions through the incremental sync. Messages exchanged:
+        //   -> { id, method: 'subscribeUtxosChanged', params: { addresses: [...] } }
+        //   <- { method: 'utxosChangedNotification', params: { added: [{ address, outpoint: { transactionId } }], removed: [...] } }
+        // Any socket-like object works (`socketFactory`), e.g. a local stand-in for tests
+        // =================================================================
+        const LIVE_ENDPOINT = window.kasterConfig?.liveEndpoint || null;
+        const LIVE_RETRY_MIN_MS = 5000;
+        const LIVE_RETRY_MAX_MS = 60000;
+
+        window.kasterLive = {
+            socketFactory: url => new WebSocket(url),
+            connected: false,
+            _socket: null,
+            _addresses: [],
+            _onActivity: null,
+            _onStatus: null,
+            _nextId: 1,
+            _retryDelay: LIVE_RETRY_MIN_MS,
+            _retryTimer: null,
+
+            isAvailable() {
+                return Boolean(LIVE_ENDPOINT);
+            },
 
-                const threads = [];
-                const currentThreadTxids = [];
+            isEnabled() {
+                return this.isAvailable() && localStorage.getItem('kaster_live') === 'on';
+            },
 
-                for (const tx of transactions) {
-                    try {
-                        const decoded = this.decodeTransactionPayload(tx.payload);
-                        if (decoded && decoded.parentTxid === '0000000000000000000000000000000000000000000000000000000000000000') {
-                            const thread = {
-                                ...decoded,
-                                txid: tx.transaction_id,
-                                sender_address: tx.inputs[0]?.previous_outpoint_address,
-                                block_time: new Date(tx.block_time).toISOString(),
-                                reply_count: 0
-                            };
-                            threads.push(thread);
-                            currentThreadTxids.push(thread.txid);
+            setEnabled(enabled) {
+                localStorage.setItem('kaster_live', enabled ? 'on' : 'off');
+            },
+
+            // onActivity(address, txid) for each transaction paying a watched address,
+            // onStatus(connected) whenever the socket comes up or goes down
+            start(addresses, onActivity, onStatus) {
+                this.stop();
+                this._addresses = [...new Set(addresses)];
+                this._onActivity = onActivity;
+                this._onStatus = onStatus;
+                this._connect();
+            },
+
+            stop() {
+                clearTimeout(this._retryTimer);
+                this._retryTimer = null;
+                const socket = this._socket;
+                this._socket = null;
+                this.connected = false;
+                if (socket) socket.close();
+            },
+
+            _connect() {
+                let socket;
+                try {
+                    socket = this.socketFactory(LIVE_ENDPOINT);
+                } catch (e) {
+                    console.warn('Live updates unavailable:', e);
+                    this._scheduleReconnect();
+                    return;
+                }
+                this._socket = socket;
+
+                socket.onopen = () => {
+                    if (this._socket !== socket) return;
+                    console.log(`📡 Live updates connected, watching ${this._addresses.length} address(es)`);
+                    this.connected = true;
+                    this._retryDelay = LIVE_RETRY_MIN_MS;
+                    socket.send(JSON.stringify({ id: this._nextId++, method: 'subscribeUtxosChanged', params: { addresses: this._addresses } }));
+                    this._onStatus?.(true);
+                };
+                socket.onmessage = event => {
+                    if (this._socket === socket) this._handleMessage(event.data);
+                };
+                socket.onerror = () => socket.close();
+                socket.onclose = () => {
+                    if (this._socket !== socket) return; // Closed by stop()
+                    this._socket = null;
+                    if (this.connected) {
+                        console.warn('📡 Live updates disconnected, back to polling');
+                        this.connected = false;
+                        this._onStatus?.(false);
+                    }
+                    this._scheduleReconnect();
+                };
+            },
+
+            _scheduleReconnect() {
+                clearTimeout(this._retryTimer);
+                this._retryTimer = setTimeout(() => this._connect(), this._retryDelay);
+                this._retryDelay = Math.min(this._retryDelay * 2, LIVE_RETRY_MAX_MS);
+            },
+
+            _handleMessage(data) {
+                let message;
+                try {
+                    message = JSON.parse(data);
+                } catch (e) {
+                    return;
+                }
+                if (!Array.isArray(message?.params?.added)) return; // Subscription replies and other notifications
+
+                message.params.added.forEach(entry => {
+                    if (this._addresses.includes(entry.address)) {
+                        this._onActivity?.(entry.address, entry.outpoint?.transactionId || null);
+                    }
+                });
+            }
+        };
+
+        // =================================================================
+        // --- kaster-api.js
+        // This file implements the logic for encoding/decoding payloads
+        // and interacting with the Kaspa network according to the Kaster Protocol specifications.
+        // =================================================================
+        const PROTOCOL_ADDRESS = 'kaspa:qz8sa5erejgulv5u8q795ssgsv8rx3m488ktwvfqhc3rqmzc9342j0525pnmh';
+        const AMOUNT_TO_SEND_SOMPIS = window.kasterCodec.BASE_AMOUNT_SOMPI; // 0.12 KAS
+        const { MAX_TITLE_BYTES, MAX_MESSAGE_BYTES, MAX_CHUNKS } = window.kasterCodec; // Protocol limits (js/kaster-codec.js)
+        const MAX_SCANNED_PARTICIPANTS = 8; // Reply authors whose address is scanned for replies to their replies
+        const HISTORY_PAGE_SIZE = 200; // Transactions per page of an address history
+        const MAX_REPLY_SCAN_PAGES = 5; // History pages read per address and thread load when looking for older replies
+        const BACKFILL_MAX_PAGES = Number(window.kasterConfig?.backfill?.maxPages) || 25;
+        const BACKFILL_UNTIL_TIME = Date.parse(window.kasterConfig?.backfill?.untilDate) || 0; // 0: no date limit
+
+        window.kasterAPI = {
+            // Threads of a board (its address), or of every board merged with ALL_BOARDS
+            async fetchThreads(board = kasterBoards.getDefault().address) {
+                if (board === ALL_BOARDS) {
+                    const threads = [];
+                    for (const { address } of kasterBoards.list()) {
+                        try {
+                            threads.push(...await this.fetchThreads(address));
+                        } catch (e) {
+                            // One unreachable board does not empty the merged feed
+                            console.warn(`Error retrieving threads of board ${address.substring(0, 15)}...:`, e);
+                        }
+                    }
+                    return threads;
+                }
+
+                // Check if cache is valid (adaptive delay)
+                const refreshDelay = getRefreshDelay(window.currentState);
+                const isCacheValid = await window.kasterDB.isCacheValid(threadsListKey(board), refreshDelay);
+
+                if (isCacheValid) {
+                    console.log(`🟢 Using cache for thread list of ${board.substring(0, 15)}...`);
+
+                    // Retrieve cached threads
+                    const cachedThreads = await window.kasterDB.getCachedThreads(board);
+
+                    // Clean expired cache in the background
+                    window.kasterDB.cleanExpiredCache().catch(e => console.warn('Error cleaning cache:', e));
+
+                    return cachedThreads.map(thread => ({
+                        ...thread,
+                        board: thread.board || board,
+                        cachedAt: undefined // Remove cachedAt property for display
+                    }));
+                }
+
+                console.log('🔄 API call to retrieve threads with optimization');
+
+                // Retrieve threads with optimization by tracking the last transaction
+                const { threads, currentThreadTxids } = await this.fetchOptimizedThreadsList(board);
+
+                // Retrieve missing threads from cache (those no longer in the last 200 transactions)
+                try {
+                    const missingThreads = await window.kasterDB.getMissingThreads(currentThreadTxids, board);
+                    const archivedThreadIds = await window.kasterDB.getArchivedThreads();
+
+                    // Process all missing threads
+                    for (const thread of missingThreads) {
+                        // Mark as archived (no longer in the current 200)
+                        thread.archived = true;
+                        thread.cachedAt = undefined;
+
+                        // Permanently save archived status in DB
+                        if (!archivedThreadIds.includes(thread.txid)) {
+                            try {
+                                await window.kasterDB.markThreadAsArchived(thread.txid, 'out_of_recent_transactions');
+                                console.log(`📦 Thread ${thread.txid} saved as archived (out of last 200 TXs)`);
+                            } catch (e) {
+                                console.warn(`Error saving archive ${thread.txid}:`, e);
+                            }
+                        }
+                    }
+
+                    // Combine current threads and archived threads
+                    threads.push(...missingThreads);
+
+                    console.log(`📦 ${missingThreads.length} threads retrieved from cache`);
+                } catch (e) {
+                    console.warn('Error retrieving missing threads:', e);
+                }
+
+                // Cache new threads
+                try {
+                    await window.kasterDB.cacheThreads(threads.filter(t => !t.archived), board);
+                    console.log(`💾 ${threads.filter(t => !t.archived).length} threads cached`);
+                } catch (e) {
+                    console.warn('Error caching threads:', e);
+                }
+
+                return threads;
+            },
+
+            async fetchOptimizedThreadsList(board = PROTOCOL_ADDRESS) {
+                try {
+                    console.log(`🔍 Optimizing threads from ${board.substring(0, 15)}...`);
+
+                    // Only the board transactions newer than its sync cursor are downloaded
+                    const { messages, newTransactions } = await this.syncAddress(board);
+
+                    // STEP 1: The board window gives the complete reference of current threads
+                    const allCurrentThreads = await this._threadsFromMessages(messages, board);
+                    const allCurrentThreadTxids = allCurrentThreads.map(thread => thread.txid);
+
+                    let threadsToReturn = allCurrentThreads;
+
+                    // STEP 2: Nothing new since the cursor - combine the reference with the cache
+                    if (newTransactions === 0) {
+                        try {
+                            const cachedThreads = await window.kasterDB.getCachedThreads(board);
+
+                            // Intelligently combine: current threads (reference) + cache for details
+                            const threadsMap = new Map();
+
+                            // First, retrieve the list of threads marked as archived in DB
+                            const archivedThreadIds = await window.kasterDB.getArchivedThreads();
+
+                            // Mark all cached threads according to DB status + current logic
+                            for (const cached of cachedThreads) {
+                                const isPermanentlyArchived = archivedThreadIds.includes(cached.txid);
+                                const isStillCurrent = allCurrentThreadTxids.includes(cached.txid);
+
+                                threadsMap.set(cached.txid, {
+                                    ...cached,
+                                    archived: isPermanentlyArchived || !isStillCurrent,
+                                    cachedAt: undefined
+                                });
+                            }
+
+                            // Then add current threads that are not in cache
+                            allCurrentThreads.forEach(current => {
+                                if (!threadsMap.has(current.txid)) {
+                                    threadsMap.set(current.txid, current); // Not archived because in current 200
+                                }
+                            });
+
+                            threadsToReturn = Array.from(threadsMap.values());
+                            console.log(`⚡ MAX Optimization: no new TX, cache + reference combination (${threadsToReturn.length} threads, ${threadsToReturn.filter(t => t.archived).length} archived)`);
+                        } catch (e) {
+                            console.warn('Error retrieving cached threads:', e);
+                            threadsToReturn = allCurrentThreads; // Safe fallback
                         }
-                    } catch (e) { /* Ignore invalid payloads */ }
+                    } else if (newTransactions > 0) {
+                        console.log(`⚡ Optimization: ${newTransactions} new transactions merged into the board window`);
+                    }
+
+                    return { threads: threadsToReturn, currentThreadTxids: allCurrentThreadTxids };
+
+                } catch (error) {
+                    console.warn(`Error during optimized thread retrieval:`, error);
+                    // Fallback to classic method
+                    return await this.fetchThreadsClassic(board);
                 }
+            },
+
+            async fetchThreadsClassic(board = PROTOCOL_ADDRESS) {
+                console.log('📞 Fallback to classic thread retrieval');
+
+                const response = await window.kasterTransport.fetch(`/addresses/${board}/full-transactions-page?limit=200&resolve_previous_outpoints=light`);
+                if (!response.ok) throw new Error(`API Error: ${response.statusText}`);
+                const transactions = await response.json();
+
+                const threads = await this._extractThreads(transactions, board);
+                const currentThreadTxids = threads.map(thread => thread.txid);
 
                 return { threads, currentThreadTxids };
             },
 
-            async fetchThread(txid) {
-                // 1. Check if a call is already in progress for this thread
-                if (this._pendingThreadCalls.has(txid)) {
-                    console.log(`⚡ Call in progress detected for ${txid}, reusing result`);
-                    return await this._pendingThreadCalls.get(txid);
+            // One page of an address history, newest first. `before` is the block time (ms) the
+            // page must end at; the returned `nextBefore` continues the paging further back
+            async fetchTransactionsPage(address, before = null) {
+                const cursor = before ? `&before=${before}` : '';
+                const response = await window.kasterTransport.fetch(`/addresses/${address}/full-transactions-page?limit=${HISTORY_PAGE_SIZE}${cursor}&resolve_previous_outpoints=light`);
+                if (!response.ok) throw new Error(`API Error: ${response.statusText}`);
+                const transactions = await response.json() || [];
+
+                // The API gives the next cursor in a header; the oldest block time of the page is the fallback
+                const header = Number(response.headers.get('X-Next-Page-Before'));
+                const oldest = transactions.length ? Math.min(...transactions.map(tx => tx.block_time)) : null;
+                return { transactions, nextBefore: header || oldest };
+            },
+
+            // Pages back through a board's history until BACKFILL_MAX_PAGES or BACKFILL_UNTIL_TIME,
+            // caching the threads it finds. Progress is saved after each page, so an interrupted
+            // backfill (page closed, network error) resumes where it stopped.
+            // Continuation parts, edits and retractions come after the message they target, so
+            // they are read before it: the ones whose target has not shown up yet are carried
+            // over to the next pages (`state.pending`), starting with those of the live window
+            async backfillBoard(board, onProgress = null) {
+                const state = await window.kasterDB.getBackfillState(board) || { before: null, pages: 0, threadsFound: 0, done: false };
+                if (!state.pending) {
+                    const sync = state.pages === 0 ? await window.kasterDB.getAddressSync(board) : null;
+                    state.pending = this._unresolvedMessages(sync?.messages || []);
+                }
+
+                // A backfill stopped by a limit goes on if the deployment has since pushed the limit back
+                if (state.done && state.reason === 'depth' && state.pages < BACKFILL_MAX_PAGES) state.done = false;
+                if (state.done && state.reason === 'date' && state.before > BACKFILL_UNTIL_TIME) state.done = false;
+                if (state.done) return state;
+
+                console.log(`📜 Backfilling ${board.substring(0, 15)}... from page ${state.pages + 1}`);
+                state.inProgress = true;
+
+                while (!state.done) {
+                    const { transactions, nextBefore } = await this.fetchTransactionsPage(board, state.before);
+                    const messages = [...await this._decodeTransactions(transactions), ...state.pending];
+
+                    // Threads cached by an earlier page or run are resolved again with what points to them
+                    const targets = new Set(messages.map(message => this._targetTxid(message)).filter(Boolean));
+                    const pageTxids = new Set(messages.map(message => message.txid));
+                    const earlier = (await window.kasterDB.getCachedThreads(board))
+                        .filter(thread => thread.backfilled && targets.has(thread.txid) && !pageTxids.has(thread.txid));
+
+                    const threads = await this._threadsFromMessages([...messages, ...earlier], board);
+                    state.threadsFound += await window.kasterDB.cacheBackfilledThreads(threads, board);
+                    state.pending = this._unresolvedMessages([...messages, ...earlier]);
+                    state.pages++;
+                    state.before = nextBefore;
+
+                    const exhausted = transactions.length < HISTORY_PAGE_SIZE || !nextBefore;
+                    const reachedDate = BACKFILL_UNTIL_TIME && nextBefore <= BACKFILL_UNTIL_TIME;
+                    if (exhausted || reachedDate || state.pages >= BACKFILL_MAX_PAGES) {
+                        state.done = true;
+                        state.inProgress = false;
+                        state.reason = exhausted ? 'exhausted' : reachedDate ? 'date' : 'depth';
+                    }
+
+                    await window.kasterDB.setBackfillState(board, state);
+                    if (onProgress) onProgress(state, BACKFILL_MAX_PAGES);
+                }
+
+                console.log(`✅ Backfill of ${board.substring(0, 15)}... finished (${state.reason}): ${state.threadsFound} older threads in ${state.pages} pages`);
+                return state;
+            },
+
+            // Incremental sync of an address: only the transactions newer than its persisted cursor
+            // are downloaded and merged into its window (its latest 200 transactions, kept as the
+            // Kaster messages they carry). The full window is fetched again only when the cursor is
+            // lost: first sync, record from before the cursor existed, or more new transactions
+            // than one page holds. `newTransactions` is null after a full fetch
+            async syncAddress(address) {
+                return window.kasterScheduler.dedupe(`sync:${address}`, () => this._syncAddress(address));
+            },
+
+            async _syncAddress(address) {
+                const previous = await window.kasterDB.getAddressSync(address);
+                const newer = previous && previous.lastBlockTime && previous.recent
+                    ? await this._fetchTransactionsAfter(address, previous)
+                    : null;
+                const incremental = newer !== null;
+                const transactions = incremental ? newer : (await this.fetchTransactionsPage(address)).transactions;
+
+                const decoded = await this._decodeTransactions(transactions);
+                const page = transactions.map(tx => ({ txid: tx.transaction_id, blockTime: tx.block_time }));
+                const recent = incremental ? [...page, ...previous.recent].slice(0, HISTORY_PAGE_SIZE) : page;
+                const inWindow = new Set(recent.map(entry => entry.txid));
+                const messages = (incremental ? [...decoded, ...previous.messages] : decoded).filter(message => inWindow.has(message.txid));
+
+                const newest = transactions[0];
+                const cursor = newest
+                    ? { lastTxid: newest.transaction_id, lastBlockTime: newest.block_time, lastBlueScore: newest.accepting_block_blue_score ?? null }
+                    : { lastTxid: previous?.lastTxid, lastBlockTime: incremental ? previous.lastBlockTime : null, lastBlueScore: previous?.lastBlueScore ?? null };
+                try {
+                    await window.kasterDB.setAddressSync(address, { ...cursor, recent, messages });
+                } catch (e) {
+                    console.warn(`Error saving sync cursor of ${address.substring(0, 15)}...:`, e);
                 }
 
-                // 2. Check if cache is valid for this thread (adaptive delay)
+                console.log(incremental
+                    ? `🔁 ${address.substring(0, 15)}...: ${transactions.length} new transactions since the cursor`
+                    : `📥 ${address.substring(0, 15)}...: full window of ${transactions.length} transactions`);
+                // A full window may not hold the whole history: `oldestBlockTime` is where it stops
+                return {
+                    messages,
+                    newTransactions: incremental ? transactions.length : null,
+                    oldestBlockTime: recent.length >= HISTORY_PAGE_SIZE ? recent[recent.length - 1].blockTime : null
+                };
+            },
+
+            // Transactions of an address newer than its cursor, newest first, or null when the
+            // cursor cannot be caught up with one page (the caller then fetches the full window)
+            async _fetchTransactionsAfter(address, sync) {
+                const response = await window.kasterTransport.fetch(`/addresses/${address}/full-transactions-page?limit=${HISTORY_PAGE_SIZE}&after=${sync.lastBlockTime}&resolve_previous_outpoints=light`);
+                if (!response.ok) return null;
+                const page = await response.json() || [];
+                if (page.length >= HISTORY_PAGE_SIZE) return null;
+
+                // `after` may include the cursor's own block: skip what the window already has
+                const known = new Set(sync.recent.map(entry => entry.txid));
+                return page
+                    .filter(tx => !known.has(tx.transaction_id))
+                    .sort((a, b) => b.block_time - a.block_time);
+            },
+
+            // TXID a continuation part, edit or retraction applies to (null for other messages)
+            _targetTxid(message) {
+                const { chunk, edit, retraction } = message.extensions || {};
+                if (chunk?.index > 0) return chunk.rootTxid;
+                return edit?.targetTxid || retraction?.targetTxid || null;
+            },
+
+            // The continuation parts, edits and retractions of a list whose target is not in it
+            _unresolvedMessages(messages) {
+                const txids = new Set(messages.map(message => message.txid));
+                return messages.filter(message => {
+                    const target = this._targetTxid(message);
+                    return target && !txids.has(target);
+                });
+            },
+
+            // Decodes the transactions of a board address into threads, with long messages
+            // reassembled from their continuation parts, author edits and retractions applied
+            async _extractThreads(transactions, board = PROTOCOL_ADDRESS) {
+                // Rejected payloads (e.g. title > 40 bytes) are recorded in the decode diagnostics
+                return this._threadsFromMessages(await this._decodeTransactions(transactions), board);
+            },
+
+            async _threadsFromMessages(messages, board = PROTOCOL_ADDRESS) {
+                return (await this._resolveMessages(messages))
+                    .filter(message => window.kasterCodec.isThreadPayload(message))
+                    .map(thread => ({
+                        ...thread,
+                        board: thread.board || board,
+                        reply_count: 0 // Will be updated by updateThreadReplyCount
+                    }));
+            },
+
+            async fetchThread(txid) {
+                // 1. Check if cache is valid for this thread (adaptive delay)
                 const refreshDelay = getRefreshDelay(window.currentState);
                 const isCacheValid = await window.kasterDB.isCacheValid(`thread_${txid}`, refreshDelay);
 
@@ -1013,6 +1854,8 @@
                             ...msg,
                             cachedAt: undefined
                         }));
+                        const metadata = await window.kasterDB.getCacheMetadata(`thread_${txid}`);
+                        cachedThread.discovery = metadata?.discovery || { complete: true, pendingAddresses: 0 };
 
                         return cachedThread;
                     }
@@ -1020,17 +1863,8 @@
 
                 console.log(`🔄 API call to retrieve thread ${txid}`);
 
-                // 3. Create the promise and store it for pooling
-                const fetchPromise = this._executeFetchThread(txid);
-                this._pendingThreadCalls.set(txid, fetchPromise);
-
-                try {
-                    const result = await fetchPromise;
-                    return result;
-                } finally {
-                    // 4. Clean up the finished promise
-                    this._pendingThreadCalls.delete(txid);
-                }
+                // 2. Concurrent calls for the same thread share one fetch
+                return window.kasterScheduler.dedupe(`thread:${txid}`, () => this._executeFetchThread(txid));
             },
 
             async _executeFetchThread(txid) {
@@ -1052,33 +1886,32 @@
 
                 // If not found in cache, make API call
                 if (!thread_info) {
-                    const threadResponse = await fetch(`${API_BASE_URL}/transactions/${txid}?resolve_previous_outpoints=light`);
+                    const threadResponse = await window.kasterTransport.fetch(`/transactions/${txid}?resolve_previous_outpoints=light`);
                     if (!threadResponse.ok) throw new Error(`Thread not found: ${threadResponse.statusText}`);
                     const threadTx = await threadResponse.json();
 
-                    thread_info = this.decodeTransactionPayload(threadTx.payload);
+                    thread_info = await this._decodeTransaction(threadTx);
                     if (!thread_info) throw new Error("Invalid thread payload");
-
-                    Object.assign(thread_info, {
-                        txid: threadTx.transaction_id,
-                        sender_address: threadTx.inputs[0]?.previous_outpoint_address,
-                        block_time: new Date(threadTx.block_time).toISOString(),
-                    });
                     console.log(`🔄 Thread info retrieved via API`);
+
+                    thread_info = await this._resolveThreadFromBoard(thread_info);
                 }
 
-                // Step 2: Retrieve author's transactions in an optimized way
-                const replies = await this.fetchOptimizedAuthorReplies(thread_info.sender_address, thread_info.txid);
+                // Step 2: Retrieve the thread's messages from its author and participants
+                // (long replies reassembled, edits and retractions applied)
+                const { messages, discovery } = await this._fetchThreadMessages(thread_info);
+                const replies = await this._resolveMessages(messages);
 
                 const allMessages = [thread_info, ...replies.sort((a, b) => new Date(a.block_time) - new Date(b.block_time))];
                 const result = {
                     messages: allMessages,
-                    thread_info: thread_info
+                    thread_info: thread_info,
+                    discovery
                 };
 
                 // Cache the complete thread with its replies
                 try {
-                    await window.kasterDB.cacheThread(txid, allMessages, thread_info);
+                    await window.kasterDB.cacheThread(txid, allMessages, thread_info, discovery);
                     console.log(`💾 Thread ${txid} with ${replies.length} replies cached`);
                 } catch (e) {
                     console.warn('Error caching complete thread:', e);
@@ -1087,202 +1920,359 @@
                 return result;
             },
 
-            decodeTransactionPayload(payloadHex) {
-                if (!payloadHex || payloadHex.length < 2) return null;
-
-                // Detect if payload starts with '30' or '34' (ASCII for '0' or '4')
-                // This indicates that the Kaspa API stored the hex as ASCII
-                let actualPayloadHex = payloadHex;
-                if (payloadHex.startsWith('30') || payloadHex.startsWith('34')) {
-                    try {
-                        // Decode ASCII hex payload to normal hex
-                        let decodedString = '';
-                        for (let i = 0; i < payloadHex.length; i += 2) {
-                            const hexPair = payloadHex.substring(i, i + 2);
-                            const byte = parseInt(hexPair, 16);
-                            const char = String.fromCharCode(byte);
-                            decodedString += char;
+            // Replies are sent to the thread author, replies to a reply to the author of that
+            // reply: after the thread author, the addresses of the reply authors found so far
+            // are scanned too, up to MAX_SCANNED_PARTICIPANTS of them. `discovery.pendingAddresses`
+            // counts the addresses whose history was not searched back to the thread
+            async _fetchThreadMessages(thread_info) {
+                const messagesByTxid = new Map();
+                const queue = [thread_info.sender_address];
+                const seen = new Set(queue);
+                const threadTime = new Date(thread_info.block_time).getTime();
+                let scannedParticipants = 0;
+                let pendingAddresses = 0;
+
+                while (queue.length > 0) {
+                    const address = queue.shift();
+                    const { replies: messages, complete } = await this.fetchOptimizedAuthorReplies(address, thread_info.txid, threadTime);
+                    messages.forEach(message => messagesByTxid.set(message.txid, message));
+                    if (!complete) pendingAddresses++;
+
+                    for (const message of messages) {
+                        if (!message.sender_address || seen.has(message.sender_address)) continue;
+                        seen.add(message.sender_address);
+                        if (scannedParticipants < MAX_SCANNED_PARTICIPANTS) {
+                            queue.push(message.sender_address);
+                            scannedParticipants++;
                         }
-
-                        // If it looks like valid hex, use it
-                        if (decodedString.match(/^[0-9a-fA-F]+$/) && decodedString.length >= 70) {
-                            actualPayloadHex = decodedString;
-                        }
-                    } catch (e) {
-                        // In case of error, use the original payload
                     }
                 }
 
+                if (seen.size - 1 > scannedParticipants) {
+                    console.log(`🌳 ${seen.size - 1 - scannedParticipants} participant address(es) not scanned for nested replies`);
+                    pendingAddresses += seen.size - 1 - scannedParticipants;
+                }
+                return {
+                    messages: Array.from(messagesByTxid.values()),
+                    discovery: { complete: pendingAddresses === 0, pendingAddresses }
+                };
+            },
+
+            // A thread opened directly (not in the threads cache): its continuation parts,
+            // edits and retraction were sent to its board address, look for them there
+            async _resolveThreadFromBoard(thread_info) {
+                let boardMessages = [];
                 try {
-                    const buffer = this.hexToBytes(actualPayloadHex);
-                    const view = new DataView(buffer.buffer);
-                    let offset = 0;
+                    boardMessages = (await this.syncAddress(thread_info.board || PROTOCOL_ADDRESS)).messages
+                        .filter(message => message.txid !== thread_info.txid);
+                } catch (e) {
+                    console.warn('Error retrieving thread parts and edits:', e);
+                }
 
-                    const version = view.getUint8(offset); offset += 1;
-                    if (version !== 4) return null;
+                return (await this._resolveMessages([thread_info, ...boardMessages]))
+                    .find(message => message.txid === thread_info.txid);
+            },
 
-                    const parentTxidBytes = buffer.slice(offset, offset + 32); offset += 32;
-                    const parentTxid = Array.from(parentTxidBytes).map(b => b.toString(16).padStart(2, '0')).join('');
+            // kasterCodec.resolveMessages() plus the retractions remembered in kasterDB.
+            // Reactions and poll votes found along the way are stored in kasterDB, not returned
+            async _resolveMessages(messages) {
+                const resolved = window.kasterCodec.resolveMessages(messages);
+                const reactions = messages.map(message => window.kasterCodec.toReactionRecord(message)).filter(Boolean);
+                const votes = messages.map(message => window.kasterCodec.toVoteRecord(message)).filter(Boolean);
+                try {
+                    if (reactions.length > 0) await window.kasterDB.cacheReactions(reactions);
+                    if (votes.length > 0) await window.kasterDB.cachePollVotes(votes);
+                } catch (e) {
+                    console.warn('Error caching reactions and votes:', e);
+                }
 
-                    const themeLen = view.getUint16(offset, false); offset += 2;
-                    const theme = new TextDecoder().decode(buffer.slice(offset, offset + themeLen)); offset += themeLen;
+                try {
+                    const knownRetractions = await window.kasterDB.getRetractions();
+                    const newlyRetracted = resolved.filter(message => message.retracted && !knownRetractions.has(message.txid));
+                    if (newlyRetracted.length > 0) await window.kasterDB.recordRetractions(newlyRetracted);
+
+                    return resolved.map(message => {
+                        const retraction = knownRetractions.get(message.txid);
+                        if (message.retracted || !retraction || retraction.sender_address !== message.sender_address) return message;
+                        return { ...message, retracted: true, retractedAt: retraction.retractedAt, retractionTxid: retraction.retractionTxid };
+                    });
+                } catch (e) {
+                    console.warn('Error applying stored retractions:', e);
+                    return resolved;
+                }
+            },
 
-                    const langLen = view.getUint16(offset, false); offset += 2;
-                    const language = new TextDecoder().decode(buffer.slice(offset, offset + langLen)); offset += langLen;
+            // Thin wrapper kept for existing callers; the wire format lives in js/kaster-codec.js.
+            // Returns a promise, since compressed bodies are inflated asynchronously
+            decodeTransactionPayload(payloadHex) {
+                return window.kasterCodec.decodePayload(payloadHex);
+            },
 
-                    const priority = view.getUint8(offset); offset += 1;
+            // Decodes a Kaspa API transaction into a message object, or returns null and
+            // records the rejection reason in the decode diagnostics
+            async _decodeTransaction(tx) {
+                const result = await window.kasterCodec.decodePayloadStrict(tx.payload);
+                if (!result.ok) {
+                    this.recordDecodeRejection(tx.transaction_id, result.error);
+                    return null;
+                }
 
-                    const titleLen = view.getUint16(offset, false); offset += 2;
-                    const title = new TextDecoder().decode(buffer.slice(offset, offset + titleLen)); offset += titleLen;
+                // The board is the known board address the transaction pays (null for replies);
+                // only KAS sent to it backs the priority byte (see kasterCodec.verifyPriority)
+                const boardAddresses = kasterBoards.list().map(board => board.address);
+                const board = (tx.outputs || []).map(output => output.script_public_key_address).find(address => boardAddresses.includes(address)) || null;
+                const paidToBoard = (tx.outputs || [])
+                    .filter(output => board && output.script_public_key_address === board)
+                    .reduce((sum, output) => sum + Number(output.amount || 0), 0);
 
-                    const msgLen = view.getUint16(offset, false); offset += 2;
-                    const message = new TextDecoder().decode(buffer.slice(offset, offset + msgLen));
+                return {
+                    ...result.value,
+                    txid: tx.transaction_id,
+                    sender_address: tx.inputs?.[0]?.previous_outpoint_address,
+                    block_time: new Date(tx.block_time).toISOString(),
+                    board,
+                    boost: window.kasterCodec.verifyPriority(result.value.priority, paidToBoard)
+                };
+            },
 
-                    // Ignore threads whose title exceeds 40 bytes (not protocol compliant)
-                    if (title && new TextEncoder().encode(title).length > 40) {
-                        const titleBytes = new TextEncoder().encode(title).length;
-                        console.log(`⚠️ Thread ignored: title too long (${titleBytes} > 40 bytes)`);
-                        return null;
-                    }
+            // Decodes a page of transactions, keeping only valid Kaster messages (in page order)
+            async _decodeTransactions(transactions) {
+                const decoded = await Promise.all(transactions.map(tx => this._decodeTransaction(tx)));
+                return decoded.filter(Boolean);
+            },
 
-                    return { parentTxid, theme, language, priority, title, message };
-                } catch (e) {
-                    return null;
+            // === Decode diagnostics ===
+            // Rejected transactions per reason code, keyed by txid so that the same
+            // transaction seen on every refresh is only counted once
+            _decodeRejections: new Map(),
+
+            recordDecodeRejection(txid, error) {
+                if (!this._decodeRejections.has(error.code)) {
+                    this._decodeRejections.set(error.code, new Map());
                 }
+                this._decodeRejections.get(error.code).set(txid, { txid, ...error, seenAt: Date.now() });
             },
 
-            hexToBytes(hex) {
-                const bytes = new Uint8Array(hex.length / 2);
-                for (let i = 0; i < bytes.length; i++) {
-                    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
-                }
-                return bytes;
+            getDecodeRejectionStats() {
+                return Array.from(this._decodeRejections.entries())
+                    .map(([code, byTxid]) => ({
+                        code,
+                        count: byTxid.size,
+                        samples: Array.from(byTxid.values()).sort((a, b) => b.seenAt - a.seenAt).slice(0, 5)
+                    }))
+                    .sort((a, b) => b.count - a.count);
             },
 
-            async fetchOptimizedAuthorReplies(authorAddress, threadTxid) {
-                try {
-                    // Retrieve the last checked transaction for this wallet
-                    const lastTxInfo = await window.kasterDB.getWalletLastTransaction(authorAddress);
+            resetDecodeRejectionStats() {
+                this._decodeRejections.clear();
+            },
 
+            // Replies to a thread sent to one address: its window, plus the older ones found by
+            // paging back through its history down to the thread's block time (`threadTime`, ms).
+            // `complete` is false while that history has not been read back to the thread
+            async fetchOptimizedAuthorReplies(authorAddress, threadTxid, threadTime = 0) {
+                try {
                     console.log(`🔍 Optimized reply check for ${authorAddress.substring(0, 10)}...`);
-                    if (lastTxInfo) {
-                        console.log(`📋 Last checked TX: ${lastTxInfo.lastTxid.substring(0, 10)}... at ${new Date(lastTxInfo.lastCheckTimestamp).toLocaleTimeString()}`);
-                    }
 
-                    // Retrieve author's transactions (limit 200)
-                    const authorTxsResponse = await fetch(`${API_BASE_URL}/addresses/${authorAddress}/full-transactions-page?limit=200&resolve_previous_outpoints=light`);
-                    if (!authorTxsResponse.ok) {
-                        console.warn(`Could not retrieve transactions for ${authorAddress}`);
-                        return [];
-                    }
+                    // Only the author transactions newer than their sync cursor are downloaded
+                    const { messages, newTransactions, oldestBlockTime } = await this.syncAddress(authorAddress);
+
+                    // STEP 1: The author window gives the complete reference of current replies
+                    const allCurrentReplies = messages.filter(message => message.parentTxid === threadTxid);
 
-                    const authorTxs = await authorTxsResponse.json();
-                    if (!authorTxs || authorTxs.length === 0) {
-                        return [];
+                    // A busy wallet's window may stop after the thread: page back to the thread
+                    let complete = true;
+                    if (oldestBlockTime && threadTime && oldestBlockTime > threadTime) {
+                        const scan = await this._scanOlderReplies(authorAddress, threadTxid, threadTime, oldestBlockTime);
+                        const inWindow = new Set(allCurrentReplies.map(reply => reply.txid));
+                        allCurrentReplies.push(...scan.replies.filter(reply => !inWindow.has(reply.txid)));
+                        complete = scan.complete;
                     }
 
-                    // STEP 1: Process ALL 200 transactions to get the complete reference of current replies
-                    const allCurrentReplies = [];
+                    let repliesToReturn = allCurrentReplies;
 
-                    for (const tx of authorTxs) {
+                    // STEP 2: Nothing new since the cursor - add the older replies from the cache
+                    if (newTransactions === 0) {
                         try {
-                            const decoded = this.decodeTransactionPayload(tx.payload);
-                            if (decoded && decoded.parentTxid === threadTxid) {
-                                allCurrentReplies.push({
-                                    ...decoded,
-                                    txid: tx.transaction_id,
-                                    sender_address: tx.inputs[0]?.previous_outpoint_address,
-                                    block_time: new Date(tx.block_time).toISOString(),
-                                });
-                            }
-                        } catch(e) {
-                            // Ignore invalid payloads
-                        }
-                    }
+                            const cachedThread = await window.kasterDB.getCachedThread(threadTxid);
 
-                    let repliesToReturn = allCurrentReplies;
-                    let isOptimized = false;
-
-                    // STEP 2: Conditional optimization based on whether there are new transactions
-                    if (lastTxInfo && lastTxInfo.lastTxid) {
-                        const lastTxIndex = authorTxs.findIndex(tx => tx.transaction_id === lastTxInfo.lastTxid);
-
-                        if (lastTxIndex !== -1) {
-                            // Check if there are new transactions
-                            const newTransactionsCount = lastTxIndex;
-
-                            if (newTransactionsCount === 0) {
-                                // NO new transactions - maximum optimization
-                                try {
-                                    const cachedThread = await window.kasterDB.getCachedThread(threadTxid);
-
-                                    if (cachedThread && cachedThread.messages) {
-                                        // Retrieve old replies from cache
-                                        const cachedReplies = cachedThread.messages.filter(msg =>
-                                            msg.txid !== threadTxid && msg.parentTxid === threadTxid
-                                        );
-
-                                        // Combine: current replies (reference) + cache for old ones
-                                        const repliesMap = new Map();
-
-                                        // First, current replies (priority to fresh data)
-                                        allCurrentReplies.forEach(current => repliesMap.set(current.txid, current));
-
-                                        // Then add from cache replies that are no longer in the current 200
-                                        cachedReplies.forEach(cached => {
-                                            if (!repliesMap.has(cached.txid)) {
-                                                repliesMap.set(cached.txid, {
-                                                    ...cached,
-                                                    cachedAt: undefined,
-                                                    archived: true // Mark as archived because no longer in current 200
-                                                });
-                                            }
-                                        });
+                            if (cachedThread && cachedThread.messages) {
+                                // Retrieve old replies from cache
+                                const cachedReplies = cachedThread.messages.filter(msg =>
+                                    msg.txid !== threadTxid && msg.parentTxid === threadTxid
+                                );
+
+                                // Combine: current replies (reference) + cache for old ones
+                                const repliesMap = new Map();
 
-                                        repliesToReturn = Array.from(repliesMap.values());
-                                        isOptimized = true;
-                                        console.log(`⚡ MAX Optimization replies: no new TX, cache + reference combination (${repliesToReturn.length} replies, ${repliesToReturn.filter(r => r.archived).length} archived)`);
-                                    } else {
-                                        // No cache available
-                                        repliesToReturn = allCurrentReplies;
+                                // First, current replies (priority to fresh data)
+                                allCurrentReplies.forEach(current => repliesMap.set(current.txid, current));
+
+                                // Then add from cache replies that are no longer in the current 200
+                                cachedReplies.forEach(cached => {
+                                    if (!repliesMap.has(cached.txid)) {
+                                        repliesMap.set(cached.txid, {
+                                            ...cached,
+                                            cachedAt: undefined,
+                                            archived: true // Mark as archived because no longer in current 200
+                                        });
                                     }
-                                } catch (e) {
-                                    console.warn('Error retrieving cached replies:', e);
-                                    repliesToReturn = allCurrentReplies; // Safe fallback
-                                }
-                            } else {
-                                // There are new transactions
-                                isOptimized = true;
-                                console.log(`⚡ Optimization replies: ${newTransactionsCount} new transactions detected`);
-                                // Use all current replies (complete reference)
-                                repliesToReturn = allCurrentReplies;
+                                });
+
+                                repliesToReturn = Array.from(repliesMap.values());
+                                console.log(`⚡ MAX Optimization replies: no new TX, cache + reference combination (${repliesToReturn.length} replies, ${repliesToReturn.filter(r => r.archived).length} archived)`);
                             }
-                        } else {
-                            console.log(`⚠️ Last known TX not found in the last 200, full check`);
-                            // No optimization possible
-                            repliesToReturn = allCurrentReplies;
+                        } catch (e) {
+                            console.warn('Error retrieving cached replies:', e);
+                            repliesToReturn = allCurrentReplies; // Safe fallback
                         }
-                    } else {
-                        console.log(`🆕 First check for this wallet, full processing`);
-                        // First time, no optimization
-                        repliesToReturn = allCurrentReplies;
+                    } else if (newTransactions > 0) {
+                        console.log(`⚡ Optimization replies: ${newTransactions} new transactions merged into the author window`);
                     }
 
-                    // STEP 3: Update the last checked transaction
-                    if (authorTxs.length > 0) {
-                        const mostRecentTx = authorTxs[0]; // API returns TXs in reverse chronological order
-                        await window.kasterDB.setWalletLastTransaction(authorAddress, mostRecentTx.transaction_id, Date.now());
+                    return { replies: repliesToReturn, complete };
 
-                        if (isOptimized) {
-                            console.log(`✅ Efficient reply optimization: ${repliesToReturn.length} replies returned, last TX updated`);
-                        }
+                } catch (error) {
+                    console.warn(`Error during optimized reply retrieval for ${authorAddress}:`, error);
+                    return { replies: [], complete: false };
+                }
+            },
+
+            // Pages back through an address history from its window (`windowOldest`) down to the
+            // thread, at most MAX_REPLY_SCAN_PAGES pages per call. The covered range is saved, so
+            // the next load goes on from where this one stopped and only reads the gap left by
+            // the window moving forward
+            async _scanOlderReplies(address, threadTxid, threadTime, windowOldest) {
+                let scan = await window.kasterDB.getReplyScan(threadTxid, address);
+                const replies = new Map((scan?.replies || []).map(reply => [reply.txid, reply]));
+                let pages = 0;
+
+                // Reads from `before` down to `floor`; returns where it stopped (`floor` at the start of the history)
+                const readDown = async (before, floor) => {
+                    while (before > floor && pages < MAX_REPLY_SCAN_PAGES) {
+                        const { transactions, nextBefore } = await this.fetchTransactionsPage(address, before);
+                        pages++;
+                        (await this._decodeTransactions(transactions))
+                            .filter(message => message.parentTxid === threadTxid)
+                            .forEach(message => replies.set(message.txid, { ...message, archived: true }));
+                        if (transactions.length < HISTORY_PAGE_SIZE || !nextBefore) return floor;
+                        before = nextBefore;
                     }
+                    return before;
+                };
 
-                    return repliesToReturn;
+                if (scan && windowOldest > scan.upTo) {
+                    // The window moved forward since the last scan: read the gap first
+                    const reached = await readDown(windowOldest, scan.upTo);
+                    scan = reached <= scan.upTo ? { ...scan, upTo: windowOldest } : { upTo: windowOldest, before: reached };
+                }
+                if (!scan) scan = { upTo: windowOldest, before: windowOldest };
+                if (scan.before > threadTime) scan.before = await readDown(scan.before, threadTime);
 
-                } catch (error) {
-                    console.warn(`Error during optimized reply retrieval for ${authorAddress}:`, error);
-                    return [];
+                scan.complete = scan.before <= threadTime;
+                scan.replies = Array.from(replies.values());
+                try {
+                    await window.kasterDB.setReplyScan(threadTxid, address, scan);
+                } catch (e) {
+                    console.warn('Error saving reply scan:', e);
+                }
+
+                console.log(`🔎 Older replies of ${address.substring(0, 10)}...: ${scan.replies.length} found in ${pages} page(s), ${scan.complete ? 'history read back to the thread' : 'history not read back to the thread yet'}`);
+                return scan;
+            }
+        };
+
+        // =================================================================
+        // --- Boards ---
+        // A board is an address threads are sent to. The main protocol address and the
+        // boards of js/kaster-config.js are built in; the user can add their own (kasterDB).
+        // =================================================================
+        const ALL_BOARDS = 'all'; // Merged feed of every board
+        const MAX_BOARD_NAME_LENGTH = 40;
+
+        // Cache metadata key of a board's thread list
+        function threadsListKey(board) {
+            return `threads_list_${board}`;
+        }
+
+        const kasterBoards = {
+            _boards: [],
+
+            async load() {
+                const config = window.kasterConfig || {};
+                const builtIn = [{ address: PROTOCOL_ADDRESS, name: 'Kaster' }, ...(config.boards || [])]
+                    .filter(board => window.kasterCodec.isKaspaAddress(board?.address))
+                    .map(board => ({ address: board.address, name: board.name || board.address, builtIn: true }));
+                let custom = [];
+                try {
+                    custom = (await window.kasterDB.getBoards()).map(board => ({ ...board, builtIn: false }));
+                } catch (e) {
+                    console.warn('Error loading boards:', e);
+                }
+
+                // The first definition of an address wins, so built-in boards keep their name
+                const byAddress = new Map();
+                [...builtIn, ...custom].forEach(board => {
+                    if (!byAddress.has(board.address)) byAddress.set(board.address, board);
+                });
+                this._boards = Array.from(byAddress.values());
+            },
+
+            // The main board is always there, even before load()
+            list() {
+                return this._boards.length > 0 ? this._boards : [{ address: PROTOCOL_ADDRESS, name: 'Kaster', builtIn: true }];
+            },
+
+            get(address) {
+                return this.list().find(board => board.address === address) || null;
+            },
+
+            getDefault() {
+                return this.list()[0];
+            },
+
+            // Board address chosen in the switcher, or ALL_BOARDS
+            getSelected() {
+                const saved = localStorage.getItem('kaster_board');
+                if (saved === ALL_BOARDS || this.get(saved)) return saved;
+                return this.getDefault().address;
+            },
+
+            select(address) {
+                localStorage.setItem('kaster_board', address);
+            },
+
+            async add(name, address) {
+                const trimmedName = String(name || '').trim().slice(0, MAX_BOARD_NAME_LENGTH);
+                if (!trimmedName) throw new Error(window.i18n ? window.i18n.t('boards.name_required') : 'Give the board a name.');
+                if (!window.kasterCodec.isKaspaAddress(address)) throw new Error(window.i18n ? window.i18n.t('boards.invalid_address') : 'This is not a valid kaspa: address.');
+                if (this.get(address)) throw new Error(window.i18n ? window.i18n.t('boards.already_added') : 'This board is already in the list.');
+
+                await window.kasterDB.addBoard({ name: trimmedName, address });
+                await this.load();
+            },
+
+            async remove(address) {
+                const board = this.get(address);
+                if (!board || board.builtIn) return;
+                await window.kasterDB.removeBoard(address);
+                await this.load();
+                if (localStorage.getItem('kaster_board') === address) this.select(this.getDefault().address);
+            },
+
+            // Cache metadata of the selected board(s): a merged feed is fresh when every board is
+            async isThreadListFresh(board, maxAgeMs) {
+                const addresses = board === ALL_BOARDS ? this.list().map(b => b.address) : [board];
+                for (const address of addresses) {
+                    if (!(await window.kasterDB.isCacheValid(threadsListKey(address), maxAgeMs))) return false;
+                }
+                return true;
+            },
+
+            async invalidateThreadList(board) {
+                const addresses = board === ALL_BOARDS ? this.list().map(b => b.address) : [board];
+                for (const address of addresses) {
+                    await window.kasterDB.setCacheMetadata(threadsListKey(address), 0);
                 }
             }
         };
@@ -1346,18 +2336,333 @@
             }
         }
 
+        // =================================================================
+        // --- Discussion Themes (Registry) ---
+        // Canonical theme IDs are written on-chain; labels come from translations.js
+        // (`theme.<id>`) and free-text themes of older threads are folded into them
+        // through their aliases. A deployment adds its own themes in js/kaster-config.js.
+        // =================================================================
+        const DEFAULT_THEMES = [
+            { id: 'general', aliases: ['general discussion', 'generale', 'divers', 'misc'] },
+            { id: 'technology', aliases: ['tech', 'techno'] },
+            { id: 'kaspa', aliases: ['kas'] },
+            { id: 'gaming', aliases: ['games', 'game', 'jeux', 'jeu', 'jeux video'] },
+            { id: 'finance', aliases: ['trading', 'markets'] },
+            { id: 'crypto', aliases: ['cryptocurrency', 'cryptomonnaie', 'crypto monnaie', 'cryptos'] },
+            { id: 'news', aliases: ['actu', 'actus'] },
+            { id: 'tutorial', aliases: ['tuto', 'tutorials', 'tutoriels', 'how to'] },
+            { id: 'support', aliases: ['help', 'aide'] },
+            { id: 'feedback', aliases: ['suggestions', 'retours'] }
+        ];
+        const OTHER_THEME_VALUE = '__other__';
+        const MAX_CUSTOM_THEME_LENGTH = 32;
+
+        // Case, accents, separators and surrounding spaces do not make a different theme
+        function normalizeThemeKey(theme) {
+            return String(theme || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+        }
+
+        const themeRegistry = {
+            themes: [],
+            _byKey: new Map(),
+
+            init() {
+                const config = window.kasterConfig || {};
+                const configured = (config.themes || [])
+                    .filter(theme => theme && normalizeThemeKey(theme.id))
+                    .map(theme => ({ ...theme, id: normalizeThemeKey(theme.id).replace(/ /g, '-') }));
+                // A configured theme with a built-in ID replaces it (keeping its place in the list)
+                const byId = new Map([...(config.replaceDefaultThemes ? [] : DEFAULT_THEMES), ...configured].map(theme => [theme.id, theme]));
+                this.themes = Array.from(byId.values());
+
+                // Deployment labels become regular translation keys, so data-i18n relabels them
+                // (the ID is the English fallback when no label is given)
+                configured.forEach(theme => {
+                    Object.entries({ en: theme.id, ...theme.labels }).forEach(([lang, label]) => {
+                        if (window.translations?.[lang]) window.translations[lang][`theme.${theme.id}`] = label;
+                    });
+                });
+
+                // The ID, every translated label and the aliases all lead to the theme
+                this._byKey.clear();
+                this.themes.forEach(theme => {
+                    const labels = Object.values(window.translations || {}).map(table => table[`theme.${theme.id}`]);
+                    [theme.id, ...labels, ...(theme.aliases || [])].forEach(name => {
+                        const key = normalizeThemeKey(name);
+                        if (key && !this._byKey.has(key)) this._byKey.set(key, theme);
+                    });
+                });
+            },
+
+            /**
+             * Maps an on-chain theme string to { id, label, custom }. Unknown themes stay
+             * custom, grouped by their normalized spelling. Returns null for an empty theme.
+             */
+            resolve(rawTheme) {
+                const key = normalizeThemeKey(rawTheme);
+                if (!key) return null;
+
+                const theme = this._byKey.get(key);
+                if (theme) return { id: theme.id, label: this.label(theme.id), custom: false };
+                return { id: `custom:${key}`, label: String(rawTheme).trim().slice(0, MAX_CUSTOM_THEME_LENGTH), custom: true };
+            },
+
+            label(id) {
+                return window.i18n ? window.i18n.t(`theme.${id}`) : id;
+            }
+        };
+
+        // Composer theme select: registry themes, then "Other…" which reveals a free-text input
+        function populateThemeComposer() {
+            const select = document.getElementById('thread-theme-input');
+            const customInput = document.getElementById('thread-custom-theme-input');
+            select.innerHTML = '';
+            themeRegistry.themes.forEach(theme => {
+                const option = new Option(themeRegistry.label(theme.id), theme.id);
+                option.dataset.i18n = `theme.${theme.id}`;
+                select.add(option);
+            });
+            const otherOption = new Option(window.i18n ? window.i18n.t('theme.other') : 'Other…', OTHER_THEME_VALUE);
+            otherOption.dataset.i18n = 'theme.other';
+            select.add(otherOption);
+
+            select.addEventListener('change', () => {
+                const isOther = select.value === OTHER_THEME_VALUE;
+                customInput.classList.toggle('d-none', !isOther);
+                customInput.required = isOther;
+                if (isOther) customInput.focus();
+            });
+            // form.reset() goes back to the first theme: hide the custom input again
+            select.form.addEventListener('reset', () => {
+                customInput.classList.add('d-none');
+                customInput.required = false;
+            });
+        }
+
+        // Theme to publish: the canonical ID, also when the custom text matches a known theme
+        function readThemeComposer() {
+            const value = document.getElementById('thread-theme-input').value;
+            if (value !== OTHER_THEME_VALUE) return value;
+
+            const custom = document.getElementById('thread-custom-theme-input').value.trim().slice(0, MAX_CUSTOM_THEME_LENGTH);
+            const resolved = themeRegistry.resolve(custom);
+            return resolved && !resolved.custom ? resolved.id : custom;
+        }
+
+        // =================================================================
+        // --- Rich Text Rendering (Markdown subset) ---
+        // Messages are untrusted: the renderer only creates DOM nodes and text
+        // nodes, never HTML strings. Supported: paragraphs, **bold**, *italic*,
+        // `code`, ``` code blocks ```, > quotes, - / 1. lists, http(s) links and
+        // @kaspa:... address mentions.
+        // =================================================================
+        const richTextSources = new WeakMap(); // message body element -> raw text, for re-rendering on toggle
+
+        // Inline tokens, tried in this order at each position
+        const INLINE_PATTERN = /(`[^`\n]+`)|(\*\*(?:[^*\n]|\*(?!\*))+?\*\*|__[^_\n]+?__)|(\*[^*\s][^*\n]*?\*|(?<![\w])_[^_\s][^_\n]*?_(?!\w))|(https?:\/\/[^\s<>"]+)|(@kaspa:[qpzry9x8gf2tvdw0s3jn54khce6mua7l]{61,63}(?![a-z0-9]))|((?<![\p{L}\p{N}_&#\/])#[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/u;
+
+        function isRichTextEnabled() {
+            return localStorage.getItem('kaster_plain_text') !== 'true';
+        }
+
+        // Renders `text` into `element`, as rich text or plain text depending on the user preference
+        function renderMessageBody(element, text) {
+            richTextSources.set(element, text);
+            element.replaceChildren();
+
+            const richText = isRichTextEnabled();
+            element.classList.toggle('rich-text', richText);
+            if (richText) {
+                element.appendChild(renderRichText(text));
+            } else {
+                element.textContent = text;
+            }
+        }
+
+        function renderRichText(text) {
+            const fragment = document.createDocumentFragment();
+            const lines = text.replace(/\r\n?/g, '\n').split('\n');
+            let i = 0;
+
+            while (i < lines.length) {
+                const line = lines[i];
+
+                if (line.trim() === '') {
+                    i++;
+                } else if (line.trim().startsWith('```')) {
+                    // Code block, closed by the next ``` line (or the end of the message)
+                    const codeLines = [];
+                    i++;
+                    while (i < lines.length && !lines[i].trim().startsWith('```')) codeLines.push(lines[i++]);
+                    i++;
+                    const pre = document.createElement('pre');
+                    const code = document.createElement('code');
+                    code.textContent = codeLines.join('\n');
+                    pre.appendChild(code);
+                    fragment.appendChild(pre);
+                } else if (/^\s*>/.test(line)) {
+                    const quoteLines = [];
+                    while (i < lines.length && /^\s*>/.test(lines[i])) quoteLines.push(lines[i++].replace(/^\s*> ?/, ''));
+                    const blockquote = document.createElement('blockquote');
+                    blockquote.appendChild(renderRichText(quoteLines.join('\n')));
+                    fragment.appendChild(blockquote);
+                } else if (/^\s*([-*+]|\d+[.)])\s+/.test(line)) {
+                    const ordered = /^\s*\d+[.)]\s+/.test(line);
+                    const itemPattern = ordered ? /^\s*\d+[.)]\s+/ : /^\s*[-*+]\s+/;
+                    const list = document.createElement(ordered ? 'ol' : 'ul');
+                    while (i < lines.length && itemPattern.test(lines[i])) {
+                        const item = document.createElement('li');
+                        appendInline(item, lines[i++].replace(itemPattern, ''));
+                        list.appendChild(item);
+                    }
+                    fragment.appendChild(list);
+                } else {
+                    // Paragraph: consecutive plain lines, kept on separate lines
+                    const paragraph = document.createElement('p');
+                    let first = true;
+                    while (i < lines.length && lines[i].trim() !== '' && !isBlockStart(lines[i])) {
+                        if (!first) paragraph.appendChild(document.createElement('br'));
+                        appendInline(paragraph, lines[i++]);
+                        first = false;
+                    }
+                    fragment.appendChild(paragraph);
+                }
+            }
+
+            return fragment;
+        }
+
+        function isBlockStart(line) {
+            return line.trim().startsWith('```') || /^\s*>/.test(line) || /^\s*([-*+]|\d+[.)])\s+/.test(line);
+        }
+
+        function appendInline(parent, text) {
+            let rest = text;
+            let match;
+
+            while ((match = INLINE_PATTERN.exec(rest))) {
+                if (match.index > 0) parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+                let consumed = match[0].length;
+
+                if (match[1]) {
+                    const code = document.createElement('code');
+                    code.textContent = match[1].slice(1, -1);
+                    parent.appendChild(code);
+                } else if (match[2]) {
+                    const strong = document.createElement('strong');
+                    appendInline(strong, match[2].slice(2, -2));
+                    parent.appendChild(strong);
+                } else if (match[3]) {
+                    const em = document.createElement('em');
+                    appendInline(em, match[3].slice(1, -1));
+                    parent.appendChild(em);
+                } else if (match[4]) {
+                    // Trailing punctuation usually belongs to the sentence, not the URL
+                    const url = match[4].replace(/[.,;:!?)\]'"]+$/, '');
+                    consumed = url.length;
+                    parent.appendChild(createSafeLink(url));
+                } else if (match[5]) {
+                    parent.appendChild(createMentionChip(match[5].slice(1)));
+                } else {
+                    parent.appendChild(createHashtagLink(match[6]));
+                }
+
+                rest = rest.slice(match.index + consumed);
+            }
+
+            if (rest) parent.appendChild(document.createTextNode(rest));
+        }
+
+        function createSafeLink(url) {
+            let parsed = null;
+            try {
+                parsed = new URL(url);
+            } catch (e) {}
+
+            if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+                return document.createTextNode(url);
+            }
+
+            const link = document.createElement('a');
+            link.href = parsed.href;
+            link.textContent = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer nofollow';
+            return link;
+        }
+
+        // Mentioned address, linked to the explorer
+        function createMentionChip(address) {
+            const chip = document.createElement('a');
+            chip.className = 'mention-chip';
+            chip.href = `https://explorer.kaspa.org/addresses/${address}`;
+            chip.title = address;
+            chip.textContent = `@${truncateAddress(address.replace(/^kaspa:/, ''), 6, 4)}`;
+            chip.target = '_blank';
+            chip.rel = 'noopener noreferrer nofollow';
+            return chip;
+        }
+
+        // A #tag links to the index filtered on that tag; tags too long to be indexed stay plain text
+        function createHashtagLink(text) {
+            const tag = window.kasterCodec.normalizeHashtag(text);
+            if (Array.from(tag).length > window.kasterCodec.MAX_HASHTAG_LENGTH) return document.createTextNode(text);
+
+            const link = document.createElement('a');
+            link.className = 'hashtag-link';
+            link.href = `./?tag=${encodeURIComponent(tag)}`;
+            link.dataset.tag = tag;
+            link.textContent = text;
+            return link;
+        }
+
+        function initializeRichTextToggle() {
+            const toggle = document.getElementById('rich-text-toggle');
+            if (!toggle) return;
+
+            toggle.addEventListener('click', () => {
+                if (isRichTextEnabled()) {
+                    localStorage.setItem('kaster_plain_text', 'true');
+                } else {
+                    localStorage.removeItem('kaster_plain_text');
+                }
+                updateRichTextToggleButton();
+
+                // Re-render the messages on screen
+                document.querySelectorAll('.message-body').forEach(element => {
+                    if (richTextSources.has(element)) renderMessageBody(element, richTextSources.get(element));
+                });
+            });
+            updateRichTextToggleButton();
+        }
+
+        function updateRichTextToggleButton() {
+            const toggle = document.getElementById('rich-text-toggle');
+            if (!toggle) return;
+
+            const richText = isRichTextEnabled();
+            toggle.textContent = richText ? '🅰️' : '📝';
+            toggle.title = window.i18n ? window.i18n.t(richText ? 'richtext.toggle_plain' : 'richtext.toggle_rich') : (richText ? 'Show messages as plain text' : 'Show formatted messages');
+        }
+
         // =================================================================
         // --- common.js (Wallet connection logic, already corrected) ---
         // =================================================================
         function initializeSharedUI(state) {
             // Initialize i18n system first
             window.i18n.init();
+            themeRegistry.init();
             // Initialize theme first
             initializeTheme();
+            initializeRichTextToggle();
             updateWalletUI(state);
             setupCommonEventListeners(state);
             populateLanguageDropdown();
             checkKaswarePresence();
+            setupDecodeDebugPanel();
+            setupMentionsInbox(state);
+            setupApiSettings();
 
             // Check if it's the first visit and show modal if necessary
             if (!hasUserAcceptedFirstVisit()) {
@@ -1875,6 +3180,9 @@
             if (pageThread && !pageThread.classList.contains('d-none')) {
                 updateReplyFormState(state);
             }
+
+            // The inbox belongs to the connected address
+            refreshMentionsInbox(state);
         }
 
         function disconnectWallet(state) {
@@ -1929,10 +3237,10 @@
             }, 100);
         }
 
-        function showStatus(message, type = 'success', duration = 3000) {
+        function showStatus(message, type = 'success', duration = 3000, params = {}) {
             const statusBar = document.getElementById('status-bar');
             // Translate message if it's a translation key
-            const translatedMessage = message.includes('.') && window.i18n ? window.i18n.t(message) : message;
+            const translatedMessage = message.includes('.') && window.i18n ? window.i18n.t(message, params) : message;
             statusBar.textContent = translatedMessage;
             statusBar.className = `show ${type}`;
             setTimeout(() => { statusBar.className = statusBar.className.replace('show', ''); }, duration);
@@ -2122,54 +3430,503 @@
                 });
             }
 
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => {
-                    modal.classList.remove('d-block');
-                    modal.classList.add('d-none');
-                });
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => {
+                    modal.classList.remove('d-block');
+                    modal.classList.add('d-none');
+                });
+            }
+
+            // Also handle the close cross (×)
+            const closeXBtn = modal?.querySelector('.close');
+            if (closeXBtn) {
+                closeXBtn.addEventListener('click', () => {
+                    modal.classList.remove('d-block');
+                    modal.classList.add('d-none');
+                });
+            }
+
+            // No more event listeners for filters - completely simplified system
+
+            // Close modal by clicking outside
+            modal?.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    modal.classList.remove('d-block');
+                    modal.classList.add('d-none');
+                }
+            });
+
+            // Close with Escape key
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && !modal.classList.contains('d-none')) {
+                    modal.classList.remove('d-block');
+                    modal.classList.add('d-none');
+                }
+            });
+        }
+
+        // Global function to open the terms management modal
+        window.openTermsManagementModal = async function() {
+            const modal = document.getElementById('termsManagementModal');
+            if (modal) {
+                modal.classList.remove('d-none');
+                modal.classList.add('d-block');
+
+                // Load terms list on first display
+                if (window.refreshFilteredTermsList) {
+                    await window.refreshFilteredTermsList();
+                }
+            }
+        };
+
+        // =================================================================
+        // --- Decode Diagnostics (Debug Panel) ---
+        // Enabled with ?debug=1 (remembered in localStorage), disabled with ?debug=0
+        // =================================================================
+        function isDebugMode() {
+            const debugParam = new URLSearchParams(window.location.search).get('debug');
+            if (debugParam === '1') localStorage.setItem('kaster_debug', 'true');
+            if (debugParam === '0') localStorage.removeItem('kaster_debug');
+            return localStorage.getItem('kaster_debug') === 'true';
+        }
+
+        function setupDecodeDebugPanel() {
+            const panel = document.getElementById('decode-debug-panel');
+            if (!panel || !isDebugMode()) return;
+
+            panel.classList.remove('d-none');
+            document.getElementById('decode-debug-refresh-btn')?.addEventListener('click', renderDecodeDebugPanel);
+            document.getElementById('decode-debug-reset-btn')?.addEventListener('click', () => {
+                window.kasterAPI.resetDecodeRejectionStats();
+                renderDecodeDebugPanel();
+            });
+            renderDecodeDebugPanel();
+        }
+
+        function renderDecodeDebugPanel() {
+            const panel = document.getElementById('decode-debug-panel');
+            const statsContainer = document.getElementById('decode-debug-stats');
+            if (!panel || !statsContainer || panel.classList.contains('d-none')) return;
+
+            const stats = window.kasterAPI.getDecodeRejectionStats();
+            statsContainer.innerHTML = '';
+
+            if (stats.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'small-text';
+                empty.textContent = window.i18n.t('debug.no_rejections');
+                statsContainer.appendChild(empty);
+                return;
+            }
+
+            const list = document.createElement('ul');
+            list.className = 'debug-reason-list';
+            stats.forEach(({ code, count, samples }) => {
+                const item = document.createElement('li');
+
+                const countStrong = document.createElement('strong');
+                countStrong.textContent = count;
+                item.append(countStrong, ` ${window.i18n.t(`debug.reason.${code}`)}`);
+
+                const samplesList = document.createElement('ul');
+                samplesList.className = 'debug-sample-list small-text';
+                samples.forEach(sample => {
+                    const sampleItem = document.createElement('li');
+                    const link = document.createElement('a');
+                    link.href = `https://explorer.kaspa.org/txs/${sample.txid}`;
+                    link.target = '_blank';
+                    link.rel = 'noopener noreferrer';
+                    link.textContent = window.i18n.t('debug.sample', {
+                        txid: truncateAddress(sample.txid, 8, 6),
+                        offset: sample.offset,
+                        field: sample.field || '-'
+                    });
+                    link.title = sample.message;
+                    sampleItem.appendChild(link);
+                    samplesList.appendChild(sampleItem);
+                });
+
+                item.appendChild(samplesList);
+                list.appendChild(item);
+            });
+            statsContainer.appendChild(list);
+        }
+
+        // =================================================================
+        // --- API Settings ---
+        // Editable list of Kaspa REST endpoints (first one preferred) with their health
+        // =================================================================
+        function setupApiSettings() {
+            const modal = document.getElementById('apiSettingsModal');
+            if (!modal) return;
+
+            const closeModal = () => modal.classList.remove('d-block');
+            document.getElementById('api-settings-btn')?.addEventListener('click', () => {
+                renderApiEndpoints();
+                modal.classList.add('d-block');
+            });
+            modal.querySelector('.close')?.addEventListener('click', closeModal);
+            window.addEventListener('click', (event) => { if (event.target == modal) closeModal(); });
+
+            document.getElementById('add-api-endpoint-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('api-endpoint-input');
+                const endpoint = normalizeApiEndpoint(input.value);
+                if (!endpoint) {
+                    showStatus('api.invalid_endpoint', 'error', 5000);
+                    return;
+                }
+                window.kasterTransport.setEndpoints([...window.kasterTransport.getEndpoints(), endpoint]);
+                input.value = '';
+                renderApiEndpoints();
+                window.kasterTransport.checkHealth(endpoint).then(renderApiEndpoints);
+            });
+
+            document.getElementById('check-api-endpoints-btn').addEventListener('click', async (e) => {
+                e.target.disabled = true;
+                await window.kasterTransport.checkAllHealth();
+                e.target.disabled = false;
+                renderApiEndpoints();
+            });
+
+            document.getElementById('reset-api-endpoints-btn').addEventListener('click', () => {
+                window.kasterTransport.resetEndpoints();
+                renderApiEndpoints();
+            });
+        }
+
+        function updateApiEndpoints(update) {
+            try {
+                window.kasterTransport.setEndpoints(update(window.kasterTransport.getEndpoints()));
+            } catch (error) {
+                showStatus(error.message, 'error');
+            }
+            renderApiEndpoints();
+        }
+
+        function renderApiEndpoints() {
+            const list = document.getElementById('api-endpoints-list');
+            const endpoints = window.kasterTransport.getEndpoints();
+            list.replaceChildren();
+
+            endpoints.forEach((endpoint, index) => {
+                const health = window.kasterTransport.getHealth(endpoint);
+                const status = !health.checkedAt ? 'unknown' : (health.downUntil > Date.now() ? 'down' : 'up');
+
+                const item = document.createElement('div');
+                item.className = 'api-endpoint-item';
+
+                const dot = document.createElement('span');
+                dot.className = `api-status-dot ${status}`;
+                dot.title = window.i18n ? window.i18n.t(`api.status_${status}`) : status;
+
+                const info = document.createElement('div');
+                info.className = 'api-endpoint-info';
+                const url = document.createElement('div');
+                url.className = 'api-endpoint-url';
+                url.textContent = endpoint;
+                const detail = document.createElement('div');
+                detail.className = 'small-text';
+                if (status === 'up' && health.latencyMs !== null) detail.textContent = `${health.latencyMs} ms`;
+                else if (status === 'down') detail.textContent = health.lastError || '';
+                info.append(url, detail);
+
+                const actions = document.createElement('div');
+                actions.className = 'api-endpoint-actions';
+                if (index > 0) {
+                    const upBtn = document.createElement('button');
+                    upBtn.type = 'button';
+                    upBtn.className = 'button-secondary-small';
+                    upBtn.textContent = '↑';
+                    upBtn.title = window.i18n ? window.i18n.t('api.move_up') : 'Prefer this endpoint';
+                    upBtn.addEventListener('click', () => updateApiEndpoints(list => {
+                        const reordered = list.slice();
+                        [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+                        return reordered;
+                    }));
+                    actions.appendChild(upBtn);
+                }
+                if (endpoints.length > 1) {
+                    const removeBtn = document.createElement('button');
+                    removeBtn.type = 'button';
+                    removeBtn.className = 'button-secondary-small';
+                    removeBtn.textContent = '✕';
+                    removeBtn.title = window.i18n ? window.i18n.t('api.remove') : 'Remove';
+                    removeBtn.addEventListener('click', () => updateApiEndpoints(list => list.filter(e => e !== endpoint)));
+                    actions.appendChild(removeBtn);
+                }
+
+                item.append(dot, info, actions);
+                list.appendChild(item);
+            });
+        }
+
+        // =================================================================
+        // --- Mentions Inbox ---
+        // Messages of the local caches that mention the connected address (@kaspa:...),
+        // with their read state kept in IndexedDB
+        // =================================================================
+        async function refreshMentionsInbox(state) {
+            const button = document.getElementById('mentions-btn');
+            if (!button) return;
+            button.classList.toggle('d-none', !state.isConnected);
+            if (!state.isConnected) return;
+
+            try {
+                const mentions = (await window.kasterDB.getAllCachedMessages())
+                    .filter(message => message.sender_address !== state.userAddress)
+                    .filter(message => {
+                        // Any version of an edited message counts
+                        const texts = [message.message, ...(message.revisions || []).map(revision => revision.message)];
+                        return texts.some(text => window.kasterCodec.extractMentions(text).includes(state.userAddress));
+                    })
+                    .map(message => ({
+                        txid: message.txid,
+                        mentionedAddress: state.userAddress,
+                        threadTxid: window.kasterCodec.isThreadPayload(message) ? message.txid : message.parentTxid,
+                        sender_address: message.sender_address,
+                        block_time: message.block_time,
+                        excerpt: (message.message || '').substring(0, 140)
+                    }));
+                if (mentions.length > 0) await window.kasterDB.recordMentions(mentions);
+                await updateMentionsBadge(state);
+            } catch (error) {
+                console.warn('Error refreshing mentions inbox:', error);
+            }
+        }
+
+        // Mentions from hidden messages or blacklisted wallets stay out of the inbox
+        async function getVisibleMentions(state) {
+            const [mentions, blacklistedWallets, hiddenMessages] = await Promise.all([
+                window.kasterDB.getMentions(state.userAddress),
+                window.kasterDB.getBlacklistedWallets(),
+                window.kasterDB.getHiddenMessages()
+            ]);
+            return mentions.filter(mention => !blacklistedWallets.includes(mention.sender_address) && !hiddenMessages.includes(mention.txid));
+        }
+
+        async function updateMentionsBadge(state) {
+            const badge = document.getElementById('mentions-unread-count');
+            if (!badge) return;
+            const unread = (await getVisibleMentions(state)).filter(mention => !mention.read).length;
+            badge.textContent = unread > 99 ? '99+' : String(unread);
+            badge.classList.toggle('d-none', unread === 0);
+        }
+
+        function setupMentionsInbox(state) {
+            const modal = document.getElementById('mentionsModal');
+            if (!modal) return;
+
+            const closeModal = () => modal.classList.remove('d-block');
+            document.getElementById('mentions-btn')?.addEventListener('click', async () => {
+                await renderMentionsList(state);
+                modal.classList.add('d-block');
+            });
+            modal.querySelector('.close')?.addEventListener('click', closeModal);
+            window.addEventListener('click', (event) => { if (event.target == modal) closeModal(); });
+
+            document.getElementById('mark-mentions-read-btn')?.addEventListener('click', async () => {
+                const mentions = await getVisibleMentions(state);
+                await window.kasterDB.markMentionsRead(mentions.map(mention => mention.txid));
+                await renderMentionsList(state);
+                await updateMentionsBadge(state);
+            });
+        }
+
+        async function renderMentionsList(state) {
+            const list = document.getElementById('mentions-list');
+            const mentions = await getVisibleMentions(state);
+            list.replaceChildren();
+
+            if (mentions.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'small-text';
+                empty.textContent = window.i18n ? window.i18n.t('mentions.empty') : 'Nobody has mentioned you yet.';
+                list.appendChild(empty);
+                return;
             }
 
-            // Also handle the close cross (×)
-            const closeXBtn = modal?.querySelector('.close');
-            if (closeXBtn) {
-                closeXBtn.addEventListener('click', () => {
-                    modal.classList.remove('d-block');
-                    modal.classList.add('d-none');
+            const locale = window.i18n?.currentLang === 'en' ? 'en-US' : 'fr-FR';
+            mentions.forEach(mention => {
+                const item = document.createElement('a');
+                item.className = `mention-item${mention.read ? '' : ' unread'}`;
+                item.href = mention.threadTxid === mention.txid ? `?txid=${mention.threadTxid}` : `?txid=${mention.threadTxid}#reply-${mention.txid}`;
+
+                const meta = document.createElement('div');
+                meta.className = 'mention-meta';
+                meta.textContent = `${truncateAddress(mention.sender_address.replace(/^kaspa:/, ''))} · ${new Date(mention.block_time).toLocaleString(locale)}`;
+
+                const excerpt = document.createElement('div');
+                excerpt.className = 'mention-excerpt';
+                excerpt.textContent = mention.excerpt;
+
+                item.append(meta, excerpt);
+                item.addEventListener('click', async (e) => {
+                    // Record the read state before leaving the page
+                    e.preventDefault();
+                    await window.kasterDB.markMentionsRead([mention.txid]);
+                    window.location.href = item.href;
                 });
-            }
+                list.appendChild(item);
+            });
+        }
 
-            // No more event listeners for filters - completely simplified system
+        // =================================================================
+        // --- Live Mode ---
+        // 📡 toggle of window.kasterLive: new threads and replies are pushed into the page as
+        // they arrive. While the socket is down (or not connected yet) the page polls instead
+        // =================================================================
+        const LIVE_POLL_INTERVAL_MS = 60000;
+        const LIVE_REFRESH_DEBOUNCE_MS = 1000; // A burst of notifications triggers one refresh
+
+        // `addresses()` lists the addresses to watch, `refresh()` reads what they received
+        function setupLiveMode(state, addresses, refresh) {
+            const button = document.getElementById('live-toggle-btn');
+            if (!button || !window.kasterLive.isAvailable()) return;
+            button.classList.remove('d-none');
+
+            let pollTimer = null;
+            let refreshTimer = null;
+            const runRefresh = () => refresh().catch(e => console.warn('Live refresh error:', e));
+            const scheduleRefresh = () => {
+                clearTimeout(refreshTimer);
+                refreshTimer = setTimeout(runRefresh, LIVE_REFRESH_DEBOUNCE_MS);
+            };
+            const startPolling = () => {
+                if (!pollTimer) pollTimer = setInterval(runRefresh, LIVE_POLL_INTERVAL_MS);
+            };
+            const stopPolling = () => {
+                clearInterval(pollTimer);
+                pollTimer = null;
+            };
+            const updateButton = () => {
+                const enabled = window.kasterLive.isEnabled();
+                button.classList.toggle('live-on', enabled && window.kasterLive.connected);
+                button.classList.toggle('live-polling', enabled && !window.kasterLive.connected);
+            };
 
-            // Close modal by clicking outside
-            modal?.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    modal.classList.remove('d-block');
-                    modal.classList.add('d-none');
-                }
-            });
+            const start = () => {
+                startPolling();
+                window.kasterLive.start(addresses(), scheduleRefresh, connected => {
+                    if (connected) {
+                        stopPolling();
+                        scheduleRefresh(); // Catch up with what arrived while polling
+                    } else {
+                        startPolling();
+                    }
+                    updateButton();
+                });
+            };
+            const stop = () => {
+                window.kasterLive.stop();
+                stopPolling();
+                clearTimeout(refreshTimer);
+            };
 
-            // Close with Escape key
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && !modal.classList.contains('d-none')) {
-                    modal.classList.remove('d-block');
-                    modal.classList.add('d-none');
-                }
+            button.addEventListener('click', () => {
+                const enabled = !window.kasterLive.isEnabled();
+                window.kasterLive.setEnabled(enabled);
+                if (enabled) start(); else stop();
+                updateButton();
+                showStatus(enabled ? 'live.enabled' : 'live.disabled', 'success');
             });
+
+            // The watched addresses change with the page (e.g. another board selected)
+            state.restartLive = () => {
+                if (window.kasterLive.isEnabled()) start();
+            };
+            if (window.kasterLive.isEnabled()) start();
+            updateButton();
         }
 
-        // Global function to open the terms management modal
-        window.openTermsManagementModal = async function() {
-            const modal = document.getElementById('termsManagementModal');
-            if (modal) {
-                modal.classList.remove('d-none');
-                modal.classList.add('d-block');
+        function updateLiveIndicator(id, count) {
+            const indicator = document.getElementById(id);
+            if (!indicator) return;
+            indicator.classList.toggle('d-none', count === 0);
+            indicator.textContent = window.i18n ? window.i18n.t('live.new_count', { count }) : `🆕 ${count} new`;
+        }
 
-                // Load terms list on first display
-                if (window.refreshFilteredTermsList) {
-                    await window.refreshFilteredTermsList();
+        // Index: new threads of the watched board(s), added to the list in place
+        async function refreshLiveThreads(state) {
+            const boards = state.board === ALL_BOARDS ? kasterBoards.list().map(board => board.address) : [state.board];
+            const known = new Set(state.allThreads.map(thread => thread.txid));
+            const hiddenMessages = await window.kasterDB.getHiddenMessages();
+            const blacklistedWallets = await window.kasterDB.getBlacklistedWallets();
+
+            const fresh = [];
+            for (const board of boards) {
+                const { messages, newTransactions } = await window.kasterAPI.syncAddress(board);
+                if (newTransactions === 0) continue;
+                const threads = (await window.kasterAPI._threadsFromMessages(messages, board)).filter(thread => !known.has(thread.txid));
+                if (threads.length === 0) continue;
+                await window.kasterDB.cacheThreads(threads, board);
+                fresh.push(...await filterVisibleThreads(threads, hiddenMessages, blacklistedWallets));
+            }
+            if (fresh.length === 0) return;
+
+            console.log(`📡 ${fresh.length} new thread(s) pushed into the list`);
+            fresh.forEach(thread => { thread.liveNew = true; });
+            state.allThreads.push(...fresh);
+            state.liveNewCount = (state.liveNewCount || 0) + fresh.length;
+            state.tagIndex = await loadTagIndex(hiddenMessages, blacklistedWallets);
+            updateFilters(state);
+            renderTagCloud(state);
+            await renderThreads(state);
+            updateLiveIndicator('live-new-threads', state.liveNewCount);
+        }
+
+        // Thread page: new replies sent to the thread author, added to the replies in place,
+        // edits or retractions of the replies already shown applied to them, and reactions
+        // and poll votes counted again
+        async function refreshLiveReplies(state) {
+            if (!state.threadData) return;
+            const threadTime = new Date(state.threadData.block_time).getTime();
+            const { replies } = await window.kasterAPI.fetchOptimizedAuthorReplies(state.threadData.sender_address, state.threadTxid, threadTime);
+            const shown = new Map(state.replies.map(reply => [reply.txid, reply]));
+            // Transactions already folded into the replies shown (edits, parts, reactions...) are not read twice
+            const seen = state.liveSeenTxids || (state.liveSeenTxids = new Set());
+            const incoming = replies.filter(reply => !shown.has(reply.txid) && !seen.has(reply.txid));
+            if (incoming.length === 0) return;
+            incoming.forEach(reply => seen.add(reply.txid));
+            const countsChanged = incoming.some(message => window.kasterCodec.toReactionRecord(message) || window.kasterCodec.toVoteRecord(message));
+
+            // The replies shown are resolved again with what arrived, so that continuation
+            // parts, edits and retractions are folded into the message they target (reactions
+            // and votes are stored in kasterDB along the way)
+            const resolved = await window.kasterAPI._resolveMessages([...state.replies, ...incoming]);
+            const fresh = resolved.filter(reply => !shown.has(reply.txid));
+            const updated = resolved.filter(reply => {
+                const before = shown.get(reply.txid);
+                return before && (before.message !== reply.message || before.title !== reply.title
+                    || Boolean(before.retracted) !== Boolean(reply.retracted));
+            });
+            if (fresh.length === 0 && updated.length === 0) {
+                if (countsChanged) {
+                    await renderReactions(state);
+                    await renderPoll(state);
                 }
+                return;
             }
-        };
+
+            console.log(`📡 ${fresh.length} new reply(ies) pushed into the thread, ${updated.length} updated`);
+            fresh.forEach(reply => { reply.liveNew = true; });
+            state.replies = resolved.sort((a, b) => new Date(a.block_time) - new Date(b.block_time));
+            const filteredReplies = await filterVisibleReplies(state.replies);
+            state.visibleMessages = [state.threadData, ...filteredReplies];
+            renderReplies(filteredReplies, state);
+            // renderReplies() rebuilds the reaction bars empty
+            await renderReactions(state);
+            await renderPoll(state);
+            state.liveNewCount = (state.liveNewCount || 0) + fresh.length;
+            updateLiveIndicator('live-new-replies', state.liveNewCount);
+
+            try {
+                await window.kasterDB.cacheThread(state.threadTxid, [state.threadData, ...state.replies], state.threadData, state.discovery);
+                await markThreadAsVisited(state.threadTxid, state.replies.length);
+            } catch (e) {
+                console.warn('Error caching live replies:', e);
+            }
+        }
 
         // =================================================================
         // --- script.js (Index Logic - Adapted to new API) ---
@@ -2201,18 +3958,24 @@
                 isConnected: false,
                 userAddress: '',
                 allThreads: [],
-                themes: new Set(),
+                board: PROTOCOL_ADDRESS, // Selected board address, or ALL_BOARDS
+                themes: new Map(),
                 languages: new Set(),
                 isCheckingReplies: false,
+                isBackfilling: false,
                 currentPage: 1,
                 threadsPerPage: 20,
-                currentPageThreads: []
+                currentPageThreads: [],
+                activeTag: window.kasterCodec.normalizeHashtag(new URLSearchParams(window.location.search).get('tag')) || null,
+                tagIndex: new Map()
             };
 
             // Store state globally for pagination
             window.currentState = state;
             try {
                 await window.kasterDB.init();
+                await kasterBoards.load();
+                state.board = kasterBoards.getSelected();
                 const walletState = await tryRestoreWalletConnection();
                 Object.assign(state, walletState);
                 initializeSharedUI(state);
@@ -2222,6 +3985,8 @@
                 ensureFloatingButtonsVisibleOnMobile();
 
                 await loadAndDisplayThreads(state);
+                resumeInterruptedBackfill(state).catch(e => console.warn('Error resuming backfill:', e));
+                setupLiveMode(state, () => state.board === ALL_BOARDS ? kasterBoards.list().map(board => board.address) : [state.board], () => refreshLiveThreads(state));
 
                 // Second check with delay to ensure buttons remain visible
                 setTimeout(() => {
@@ -2236,7 +4001,18 @@
         function attachIndexEventListeners(state) {
             document.getElementById('new-thread-form').addEventListener('submit', (e) => handleThreadSubmit(e, state));
             document.getElementById('thread-title-input').addEventListener('input', () => updateCharCounter('thread-title-input', 'title-char-counter', MAX_TITLE_BYTES));
-            document.getElementById('thread-message-input').addEventListener('input', () => updateCharCounter('thread-message-input', 'message-char-counter', MAX_MESSAGE_BYTES));
+            document.getElementById('thread-message-input').addEventListener('input', () => updateMessageCharCounter('thread-message-input', 'message-char-counter'));
+            populateThemeComposer();
+            populateBoostSelect();
+            setupBoards(state);
+            setupBackfill(state);
+            document.getElementById('live-new-threads').addEventListener('click', async () => {
+                state.liveNewCount = 0;
+                updateLiveIndicator('live-new-threads', 0);
+                state.currentPage = 1;
+                await renderThreads(state);
+                document.getElementById('thread-list').scrollIntoView({ behavior: 'smooth' });
+            });
 
             // Event listeners for filters with localStorage saving
             ['theme-filter', 'language-filter', 'sort-filter'].forEach(id => {
@@ -2249,6 +4025,22 @@
                 });
             });
 
+            // Tag cloud and active tag chip switch the filter without reloading the page
+            ['tag-cloud', 'active-tag-filter'].forEach(id => {
+                document.getElementById(id).addEventListener('click', async (e) => {
+                    const link = e.target.closest('[data-tag]');
+                    if (!link) return;
+                    e.preventDefault();
+                    await setActiveTag(state, link.dataset.tag || null);
+                });
+            });
+            window.addEventListener('popstate', async () => {
+                state.activeTag = window.kasterCodec.normalizeHashtag(new URLSearchParams(window.location.search).get('tag')) || null;
+                state.currentPage = 1;
+                renderTagCloud(state);
+                await renderThreads(state);
+            });
+
             // Add pagination event listeners
             attachPaginationEventListeners(state);
 
@@ -2280,38 +4072,22 @@
             // Functionalities requiring KasWare (like sending messages) will still be disabled/warned.
 
             try {
-                const threads = await window.kasterAPI.fetchThreads();
+                const threads = await window.kasterAPI.fetchThreads(state.board);
                 const hiddenMessages = await window.kasterDB.getHiddenMessages();
                 const blacklistedWallets = await window.kasterDB.getBlacklistedWallets();
 
-                // Filter threads with unwanted terms
-                const filteredThreads = [];
-                for (const thread of threads) {
-                    // Basic checks
-                    if (!thread.sender_address ||
-                        hiddenMessages.includes(thread.txid) ||
-                        blacklistedWallets.includes(thread.sender_address)) {
-                        continue;
-                    }
-
-                    // Check for illegal terms in title and message
-                    const titleCheck = await window.kasterDB.containsFilteredTerms(thread.title || '');
-                    const messageCheck = await window.kasterDB.containsFilteredTerms(thread.message || '');
-
-                    if (titleCheck.hasFilteredTerm || messageCheck.hasFilteredTerm) {
-                        console.log(`🚫 Thread filtered for unwanted terms: ${thread.txid}`, [
-                            ...titleCheck.matchedTerms,
-                            ...messageCheck.matchedTerms
-                        ]);
-                        continue;
-                    }
-
-                    filteredThreads.push(thread);
-                }
-
-                state.allThreads = filteredThreads;
+                state.allThreads = await filterVisibleThreads(threads, hiddenMessages, blacklistedWallets);
+                state.liveNewCount = 0;
+                updateLiveIndicator('live-new-threads', 0);
+                await renderBoardSwitcher(state);
+                // The merged feed does not count as a visit of each board, so the switcher
+                // can still point at boards with threads that were never displayed
+                if (state.board !== ALL_BOARDS) await window.kasterDB.markBoardVisited(state.board);
+                state.tagIndex = await loadTagIndex(hiddenMessages, blacklistedWallets);
                 updateFilters(state);
+                renderTagCloud(state);
                 await renderThreads(state);
+                renderDecodeDebugPanel();
             } catch (error) {
                 console.error("Error loading threads:", error);
                 // Modified error message to reflect that Kasware is not the only reason for failure
@@ -2319,10 +4095,39 @@
             }
         }
 
+        // Leaves out hidden threads, blacklisted authors and threads with unwanted terms
+        async function filterVisibleThreads(threads, hiddenMessages, blacklistedWallets) {
+            const filteredThreads = [];
+            for (const thread of threads) {
+                // Basic checks
+                if (!thread.sender_address ||
+                    hiddenMessages.includes(thread.txid) ||
+                    blacklistedWallets.includes(thread.sender_address)) {
+                    continue;
+                }
+
+                // Check for illegal terms in title and message
+                const titleCheck = await window.kasterDB.containsFilteredTerms(thread.title || '');
+                const messageCheck = await window.kasterDB.containsFilteredTerms(thread.message || '');
+
+                if (titleCheck.hasFilteredTerm || messageCheck.hasFilteredTerm) {
+                    console.log(`🚫 Thread filtered for unwanted terms: ${thread.txid}`, [
+                        ...titleCheck.matchedTerms,
+                        ...messageCheck.matchedTerms
+                    ]);
+                    continue;
+                }
+
+                filteredThreads.push(thread);
+            }
+            return filteredThreads;
+        }
+
         function updateFilters(state) {
             state.themes.clear(); state.languages.clear();
             state.allThreads.forEach(thread => {
-                if (thread.theme) state.themes.add(thread.theme);
+                const theme = themeRegistry.resolve(thread.theme);
+                if (theme) state.themes.set(theme.id, theme);
                 if (thread.language) state.languages.add(thread.language);
             });
             const themeFilter = document.getElementById('theme-filter'), langFilter = document.getElementById('language-filter');
@@ -2330,9 +4135,13 @@
             langFilter.innerHTML = `<option value="all" data-i18n="index.filters.all_languages">${window.i18n ? window.i18n.t('index.filters.all_languages') : 'All languages'}</option>`;
 
             // Convert Set to Array and sort to avoid duplicates and maintain consistent order
-            const sortedThemes = Array.from(state.themes).sort();
+            const sortedThemes = Array.from(state.themes.values()).sort((a, b) => a.custom - b.custom || a.label.localeCompare(b.label));
 
-            sortedThemes.forEach(theme => themeFilter.add(new Option(theme, theme)));
+            sortedThemes.forEach(theme => {
+                const option = new Option(theme.label, theme.id);
+                if (!theme.custom) option.dataset.i18n = `theme.${theme.id}`;
+                themeFilter.add(option);
+            });
 
             // Use all available languages from the modal, not just those in threads
             Object.entries(languages).forEach(([code, name]) => {
@@ -2348,13 +4157,300 @@
             restoreFilterPreferences();
         }
 
+        // =================================================================
+        // --- Board Switcher ---
+        // Selects the board shown on the index (or the merged feed) and the board the
+        // composer posts to; user boards are managed in #boardsModal
+        // =================================================================
+        function setupBoards(state) {
+            document.getElementById('board-filter').addEventListener('change', async (e) => {
+                state.board = e.target.value;
+                state.currentPage = 1;
+                kasterBoards.select(state.board);
+                await loadAndDisplayThreads(state);
+                state.restartLive?.();
+            });
+
+            const modal = document.getElementById('boardsModal');
+            const closeModal = () => modal.classList.remove('d-block');
+            document.getElementById('manage-boards-btn').addEventListener('click', () => {
+                renderBoardsList(state);
+                modal.classList.add('d-block');
+            });
+            modal.querySelector('.close')?.addEventListener('click', closeModal);
+            window.addEventListener('click', (event) => { if (event.target == modal) closeModal(); });
+
+            document.getElementById('add-board-form').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                try {
+                    await kasterBoards.add(document.getElementById('board-name-input').value, document.getElementById('board-address-input').value.trim());
+                    e.target.reset();
+                    showStatus('boards.added', 'success');
+                    renderBoardsList(state);
+                    await renderBoardSwitcher(state);
+                } catch (error) {
+                    showStatus(error.message, 'error');
+                }
+            });
+
+            populateBoardComposer(state);
+        }
+
+        // Other boards get a "•" when their cached threads include some newer than their last visit
+        async function renderBoardSwitcher(state) {
+            const select = document.getElementById('board-filter');
+            select.innerHTML = '';
+            for (const board of kasterBoards.list()) {
+                let hasNewThreads = false;
+                if (board.address !== state.board) {
+                    try {
+                        const lastVisit = await window.kasterDB.getBoardLastVisit(board.address);
+                        hasNewThreads = lastVisit > 0 && (await window.kasterDB.getCachedThreads(board.address))
+                            .some(thread => new Date(thread.block_time).getTime() > lastVisit);
+                    } catch (e) {}
+                }
+                select.add(new Option(`${hasNewThreads ? '• ' : ''}${board.name}`, board.address));
+            }
+            const allOption = new Option(window.i18n ? window.i18n.t('boards.all') : 'All boards', ALL_BOARDS);
+            allOption.dataset.i18n = 'boards.all';
+            select.add(allOption);
+            select.value = state.board;
+
+            populateBoardComposer(state);
+        }
+
+        // New threads go to the selected board (the main board from the merged feed)
+        function populateBoardComposer(state) {
+            const select = document.getElementById('thread-board-input');
+            const boards = kasterBoards.list();
+            const target = state.board === ALL_BOARDS ? kasterBoards.getDefault().address : state.board;
+            select.innerHTML = '';
+            // Selected by default, so that resetting the form keeps the board
+            boards.forEach(board => select.add(new Option(board.name, board.address, board.address === target, board.address === target)));
+            select.closest('.form-group').classList.toggle('d-none', boards.length < 2);
+        }
+
+        function renderBoardsList(state) {
+            const list = document.getElementById('boards-list');
+            list.replaceChildren();
+            kasterBoards.list().forEach(board => {
+                const item = document.createElement('div');
+                item.className = 'board-item';
+
+                const info = document.createElement('div');
+                const name = document.createElement('strong');
+                name.textContent = board.name;
+                const address = document.createElement('div');
+                address.className = 'small-text board-address';
+                address.textContent = board.address;
+                address.title = board.address;
+                info.append(name, address);
+                item.appendChild(info);
+
+                if (board.builtIn) {
+                    const builtInLabel = document.createElement('span');
+                    builtInLabel.className = 'small-text';
+                    builtInLabel.textContent = window.i18n ? window.i18n.t('boards.built_in') : 'Built-in';
+                    item.appendChild(builtInLabel);
+                } else {
+                    const removeBtn = document.createElement('button');
+                    removeBtn.type = 'button';
+                    removeBtn.className = 'button-secondary-small';
+                    removeBtn.textContent = window.i18n ? window.i18n.t('boards.remove') : 'Remove';
+                    removeBtn.addEventListener('click', async () => {
+                        if (!confirm(window.i18n ? window.i18n.t('boards.confirm_remove', { name: board.name }) : `Remove the board "${board.name}" from your list?`)) return;
+                        await kasterBoards.remove(board.address);
+                        renderBoardsList(state);
+                        if (state.board === board.address) {
+                            state.board = kasterBoards.getSelected();
+                            state.currentPage = 1;
+                            await loadAndDisplayThreads(state);
+                        } else {
+                            await renderBoardSwitcher(state);
+                        }
+                    });
+                    item.appendChild(removeBtn);
+                }
+                list.appendChild(item);
+            });
+        }
+
+        // =================================================================
+        // --- History Backfill ---
+        // Pages back through the history of the selected board(s) to bring back threads older
+        // than the last 200 transactions. Progress is kept in cacheMetadata: the button resumes
+        // an interrupted backfill, and one left running when the page closed resumes on load
+        // =================================================================
+        function setupBackfill(state) {
+            document.getElementById('backfill-btn').addEventListener('click', () => runBackfill(state));
+        }
+
+        function backfillTargets(state) {
+            return state.board === ALL_BOARDS ? kasterBoards.list().map(board => board.address) : [state.board];
+        }
+
+        async function resumeInterruptedBackfill(state) {
+            for (const address of backfillTargets(state)) {
+                const backfill = await window.kasterDB.getBackfillState(address);
+                if (backfill && backfill.inProgress && !backfill.done) {
+                    console.log(`📜 Resuming interrupted backfill of ${address.substring(0, 15)}...`);
+                    return runBackfill(state);
+                }
+            }
+        }
+
+        async function runBackfill(state) {
+            if (state.isBackfilling) return;
+            state.isBackfilling = true;
+
+            const button = document.getElementById('backfill-btn');
+            button.disabled = true;
+            let found = 0;
+            try {
+                for (const address of backfillTargets(state)) {
+                    const result = await window.kasterAPI.backfillBoard(address, (progress, maxPages) => {
+                        showBackgroundStatus('status.backfilling', progress.pages, maxPages);
+                    });
+                    found += result.threadsFound;
+                }
+                showStatus('status.backfill_done', 'success', 5000, { count: found });
+                await loadAndDisplayThreads(state);
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.warn('Backfill interrupted:', error);
+                showStatus('error.backfill_failed', 'error');
+            } finally {
+                hideBackgroundStatus();
+                button.disabled = false;
+                state.isBackfilling = false;
+            }
+        }
+
+        // =================================================================
+        // --- Hashtags ---
+        // Tag -> thread txids from the IndexedDB tag index, a cloud of the most used tags
+        // and the ?tag= filter of the thread list
+        // =================================================================
+        const MAX_CLOUD_TAGS = 30;
+
+        // Tags of hidden messages and blacklisted wallets are left out
+        async function loadTagIndex(hiddenMessages, blacklistedWallets) {
+            const tagIndex = new Map();
+            try {
+                const entries = await window.kasterDB.getTagEntries();
+                entries
+                    .filter(entry => !hiddenMessages.includes(entry.txid) && !blacklistedWallets.includes(entry.sender_address))
+                    .forEach(entry => {
+                        if (!tagIndex.has(entry.tag)) tagIndex.set(entry.tag, new Set());
+                        tagIndex.get(entry.tag).add(entry.threadTxid);
+                    });
+            } catch (error) {
+                console.warn('Error loading tag index:', error);
+            }
+            return tagIndex;
+        }
+
+        function createTagChip(tag, count, weight) {
+            const chip = document.createElement('a');
+            chip.className = `tag-chip tag-weight-${weight}`;
+            chip.href = `?tag=${encodeURIComponent(tag)}`;
+            chip.dataset.tag = tag;
+            chip.textContent = `#${tag}`;
+            const countSpan = document.createElement('span');
+            countSpan.className = 'tag-count';
+            countSpan.textContent = count;
+            chip.appendChild(countSpan);
+            return chip;
+        }
+
+        function renderTagCloud(state) {
+            const cloud = document.getElementById('tag-cloud');
+            const activeChip = document.getElementById('active-tag-filter');
+
+            // Only threads currently listed count, so a tag never leads to an empty list
+            const visibleTxids = new Set(state.allThreads.map(thread => thread.txid));
+            const counts = Array.from(state.tagIndex, ([tag, txids]) => [tag, Array.from(txids).filter(txid => visibleTxids.has(txid)).length])
+                .filter(([, count]) => count > 0)
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .slice(0, MAX_CLOUD_TAGS);
+
+            cloud.innerHTML = '';
+            if (counts.length > 0) {
+                const label = document.createElement('span');
+                label.className = 'tag-cloud-label';
+                label.textContent = window.i18n ? window.i18n.t('tags.cloud_label') : 'Tags:';
+                cloud.appendChild(label);
+
+                const maxCount = counts[0][1];
+                counts.sort((a, b) => a[0].localeCompare(b[0])).forEach(([tag, count]) => {
+                    const chip = createTagChip(tag, count, Math.max(1, Math.ceil((count / maxCount) * 4)));
+                    chip.classList.toggle('active', tag === state.activeTag);
+                    cloud.appendChild(chip);
+                });
+            }
+            cloud.classList.toggle('d-none', counts.length === 0);
+
+            activeChip.innerHTML = '';
+            activeChip.classList.toggle('d-none', !state.activeTag);
+            if (state.activeTag) {
+                const tagLabel = document.createElement('strong');
+                tagLabel.textContent = `#${state.activeTag}`;
+                const clearLink = document.createElement('a');
+                clearLink.href = './';
+                clearLink.dataset.tag = '';
+                clearLink.className = 'clear-tag-btn';
+                clearLink.title = window.i18n ? window.i18n.t('tags.clear') : 'Show all discussions';
+                clearLink.textContent = '✕';
+                activeChip.append(tagLabel, clearLink);
+            }
+        }
+
+        async function setActiveTag(state, tag) {
+            state.activeTag = tag;
+            state.currentPage = 1;
+            window.history.pushState({}, '', tag ? `?tag=${encodeURIComponent(tag)}` : window.location.pathname);
+            renderTagCloud(state);
+            await renderThreads(state);
+        }
+
+        // =================================================================
+        // --- Boost ---
+        // Paid priority (thread.boost, verified against the transaction outputs) ranks a
+        // thread higher, fading with its age so that boosted threads do not stay on top forever
+        // =================================================================
+        const BOOST_LEVELS = [0, 1, 5, 10, 50];
+        const BOOST_GRAVITY = 1.5;
+
+        function boostScore(thread, now) {
+            const ageHours = Math.max(0, (now - new Date(thread.block_time)) / 3600000);
+            return (1 + (thread.boost || 0)) / Math.pow(ageHours + 2, BOOST_GRAVITY);
+        }
+
+        function formatKas(sompi) {
+            return (sompi / 1e8).toFixed(2);
+        }
+
+        function populateBoostSelect() {
+            const select = document.getElementById('thread-boost-input');
+            BOOST_LEVELS.filter(level => level > 0).forEach(level => {
+                select.add(new Option(`🚀 +${formatKas(level * window.kasterCodec.BOOST_UNIT_SOMPI)} KAS`, level));
+            });
+        }
+
         async function renderThreads(state) {
             const threadList = document.getElementById('thread-list');
             const theme = document.getElementById('theme-filter').value, language = document.getElementById('language-filter').value, sort = document.getElementById('sort-filter').value;
             let filteredThreads = state.allThreads;
-            if (theme !== 'all') filteredThreads = filteredThreads.filter(t => t.theme === theme);
+            if (state.activeTag) {
+                const tagged = state.tagIndex.get(state.activeTag) || new Set();
+                filteredThreads = filteredThreads.filter(t => tagged.has(t.txid));
+            }
+            if (theme !== 'all') filteredThreads = filteredThreads.filter(t => themeRegistry.resolve(t.theme)?.id === theme);
             if (language !== 'all') filteredThreads = filteredThreads.filter(t => t.language === language);
-            if (sort === 'priority') filteredThreads.sort((a, b) => b.priority - a.priority || new Date(b.block_time) - new Date(a.block_time));
+            if (sort === 'priority') {
+                const now = Date.now();
+                filteredThreads.sort((a, b) => boostScore(b, now) - boostScore(a, now) || new Date(b.block_time) - new Date(a.block_time));
+            }
             else filteredThreads.sort((a, b) => new Date(b.block_time) - new Date(a.block_time));
 
             const totalThreads = filteredThreads.length;
@@ -2377,6 +4473,7 @@
 
             const threadCountsMap = new Map();
             const archivedThreadIds = await window.kasterDB.getArchivedThreads();
+            const reactionTallies = await loadReactionTallies(currentPageThreads.map(thread => thread.txid));
 
             for (const thread of currentPageThreads) {
                 try {
@@ -2400,7 +4497,7 @@
 
                 const threadLink = document.createElement('a');
                 threadLink.href = `?txid=${thread.txid}`;
-                threadLink.className = `thread-item${thread.archived ? ' archived' : ''}`;
+                threadLink.className = `thread-item${thread.archived ? ' archived' : ''}${thread.liveNew ? ' live-new' : ''}`;
                 threadLink.dataset.txid = thread.txid;
 
                 const titleElement = document.createElement('h2');
@@ -2409,6 +4506,17 @@
                 titleElement.textContent = displayTitle;
                 titleElement.title = thread.title; // Show full title on hover
 
+                // Retracted by its author: collapsed until revealed
+                let retractedPlaceholder = null;
+                if (thread.retracted) {
+                    threadLink.classList.add('retracted');
+                    titleElement.classList.add('d-none');
+                    retractedPlaceholder = createRetractedPlaceholder(() => {
+                        retractedPlaceholder.remove();
+                        titleElement.classList.remove('d-none');
+                    });
+                }
+
                 const metaContainer = document.createElement('div');
                 metaContainer.className = 'thread-meta';
 
@@ -2440,6 +4548,27 @@
 
                 metaContainer.append(dateSpan, authorSpan, replyCountSpan);
 
+                // The merged feed tells which board each thread comes from
+                if (state.board === ALL_BOARDS) {
+                    const boardBadge = document.createElement('span');
+                    boardBadge.className = 'board-badge';
+                    boardBadge.textContent = kasterBoards.get(thread.board || PROTOCOL_ADDRESS)?.name || truncateAddress((thread.board || '').replace(/^kaspa:/, ''), 6, 4);
+                    metaContainer.appendChild(boardBadge);
+                }
+
+                const reactionTally = reactionTallies.get(thread.txid);
+                if (reactionTally) metaContainer.appendChild(createReactionSummary(reactionTally));
+
+                if (thread.boost > 0) {
+                    const boostBadge = document.createElement('span');
+                    boostBadge.className = 'boost-badge';
+                    boostBadge.textContent = `🚀 ${thread.boost}`;
+                    boostBadge.title = window.i18n
+                        ? window.i18n.t('meta.boosted', { amount: formatKas(thread.boost * window.kasterCodec.BOOST_UNIT_SOMPI) })
+                        : `Boosted with ${formatKas(thread.boost * window.kasterCodec.BOOST_UNIT_SOMPI)} KAS`;
+                    metaContainer.appendChild(boostBadge);
+                }
+
                 if (thread.archived) {
                     const archivedBadge = document.createElement('span');
                     archivedBadge.className = 'archived-badge';
@@ -2447,7 +4576,29 @@
                     metaContainer.appendChild(archivedBadge);
                 }
 
+                if (thread.extensions?.poll) {
+                    const pollBadge = document.createElement('span');
+                    pollBadge.className = 'poll-badge';
+                    pollBadge.textContent = window.i18n ? window.i18n.t('meta.poll') : '📊 Poll';
+                    metaContainer.appendChild(pollBadge);
+                }
+
+                if (thread.edited) {
+                    const editedBadge = document.createElement('span');
+                    editedBadge.className = 'edited-badge';
+                    editedBadge.textContent = window.i18n ? window.i18n.t('meta.edited') : 'Edited';
+                    metaContainer.appendChild(editedBadge);
+                }
+
+                if (thread.incomplete) {
+                    const incompleteBadge = document.createElement('span');
+                    incompleteBadge.className = 'incomplete-badge';
+                    incompleteBadge.textContent = window.i18n ? window.i18n.t('meta.incomplete') : 'Incomplete';
+                    metaContainer.appendChild(incompleteBadge);
+                }
+
                 metaContainer.appendChild(newRepliesContainer);
+                if (retractedPlaceholder) threadLink.appendChild(retractedPlaceholder);
                 threadLink.append(titleElement, metaContainer);
                 threadList.appendChild(threadLink);
             });
@@ -2619,7 +4770,7 @@
             showBackgroundStatus('status.checking_replies', 0, threads.length);
 
             try {
-                // Process threads one by one with a delay to avoid API overload
+                // Process threads one by one
                 for (const thread of threads) {
                     // Check if we should stop (e.g., if user disconnected)
                     if (!state.isConnected && threads.indexOf(thread) > 10) {
@@ -2628,8 +4779,7 @@
                     }
 
                     try {
-                        await new Promise(resolve => setTimeout(resolve, 400)); // Reduced delay thanks to pagination
-
+                        // No pause between threads: kasterScheduler paces the API calls
                         // 1. Update total counter (for all)
                         await updateThreadReplyCount(thread.txid);
 
@@ -2650,6 +4800,10 @@
                     }
                 }
                 console.log(`🎉 Unified check ${isOptimized ? 'OPTIMIZED' : 'complete'} (${processedCount} threads) - Next in 60s minimum`);
+                renderDecodeDebugPanel();
+
+                // The check refreshed the caches: look for new mentions in them
+                await refreshMentionsInbox(state);
             } finally {
                 // Hide status after a short delay
                 setTimeout(() => {
@@ -2853,7 +5007,7 @@
             while (Date.now() - startTime < maxDuration) {
                 try {
                     // Retrieve recent transactions for the target address
-                    const response = await fetch(`${API_BASE_URL}/addresses/${targetAddress}/full-transactions-page?limit=20&resolve_previous_outpoints=light`);
+                    const response = await window.kasterTransport.fetch(`/addresses/${targetAddress}/full-transactions-page?limit=20&resolve_previous_outpoints=light`);
                     if (response.ok) {
                         const transactions = await response.json();
 
@@ -2909,6 +5063,34 @@
 
         async function handleThreadSubmit(e, state) {
             e.preventDefault();
+
+            // The boost is paid with part 0, on top of the base amount
+            const priority = Number(document.getElementById('thread-boost-input').value) || 0;
+            const firstPartAmount = window.kasterCodec.boostAmountSompi(priority);
+
+            // Long messages are split over several transactions, which the user confirms first
+            // (boost included, in the same dialog)
+            let parts, poll;
+            try {
+                poll = readPollComposer();
+                parts = await splitMessageForPublication(document.getElementById('thread-message-input').value, firstPartAmount);
+            } catch (error) {
+                showStatus(error.message, 'error');
+                return;
+            }
+            if (!parts) return;
+
+            // The thread, and so the boost, goes to the selected board
+            const boardAddress = document.getElementById('thread-board-input').value || PROTOCOL_ADDRESS;
+            if (priority > 0 && parts.length === 1) {
+                const boardName = kasterBoards.get(boardAddress)?.name;
+                const board = boardName ? `${boardName} (${truncateAddress(boardAddress, 12, 6)})` : truncateAddress(boardAddress, 12, 6);
+                const question = window.i18n
+                    ? window.i18n.t('confirm.boost', { amount: formatKas(firstPartAmount), base: formatKas(AMOUNT_TO_SEND_SOMPIS), board })
+                    : `This boost sends ${formatKas(firstPartAmount)} KAS to the board ${board} instead of ${formatKas(AMOUNT_TO_SEND_SOMPIS)} KAS. Continue?`;
+                if (!confirm(question)) return;
+            }
+
             const submitBtn = document.getElementById('submit-thread-btn');
             const cancelBtn = document.getElementById('cancel-thread-btn');
             const modal = document.getElementById('newThreadModal');
@@ -2952,19 +5134,16 @@
 
             try {
                 const title = document.getElementById('thread-title-input').value;
-                const message = document.getElementById('thread-message-input').value;
-                const theme = document.getElementById('thread-theme-input').value;
+                const theme = readThemeComposer();
                 const language = document.getElementById('thread-language-input').value;
-                const priority = 0;
-
-                const payloadBytes = encodePayloadForThread(title, message, theme, language, priority);
-                const payloadHex = Array.from(payloadBytes).map(b => b.toString(16).padStart(2, '0')).join('');
 
                 // Mark transaction as in progress
                 isTransactionPending = true;
 
-                // Send transaction
-                const txid = await window.kasware.sendKaspa(PROTOCOL_ADDRESS, AMOUNT_TO_SEND_SOMPIS, { payload: payloadHex });
+                // Send transaction(s)
+                const txid = await publishMessageParts(boardAddress, parts, (part, chunk) => chunk?.index > 0
+                    ? encodeContinuationPart(part, window.kasterCodec.ROOT_PARENT_TXID, chunk)
+                    : encodePayloadForThread(title, part, theme, language, priority, chunk, poll), firstPartAmount);
 
                 // Transaction sent successfully
                 isTransactionPending = false;
@@ -2972,6 +5151,7 @@
                 // Close modal immediately
                 modal.classList.remove('d-block');
                 document.getElementById('new-thread-form').reset();
+                document.getElementById('poll-composer').open = false;
 
                 // Display status message asking to refresh
                 showStatus('status.thread_sent_refresh', 'success', 10000);
@@ -2994,45 +5174,182 @@
                 if (originalCancelHandler) {
                     cancelBtn.addEventListener('click', originalCancelHandler);
                 }
-            } finally {
-                submitBtn.disabled = false;
-                submitBtn.innerHTML = window.i18n ? window.i18n.t('modal.new_thread.submit') : 'Publish';
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.innerHTML = window.i18n ? window.i18n.t('modal.new_thread.submit') : 'Publish';
+            }
+        }
+
+        // Bodies are deflated when that makes them smaller (see kasterCodec.compressPayload)
+        // `poll` ({ options, closesAt }) is only set on part 0 of a poll thread
+        function encodePayloadForThread(title, message, theme, lang, priority, chunk, poll) {
+            return window.kasterCodec.compressPayload({
+                parentTxid: window.kasterCodec.ROOT_PARENT_TXID, title, message, theme, language: lang, priority, extensions: { chunk, poll }
+            });
+        }
+
+        // Poll fields of the new thread form, or null when the poll section is closed or
+        // empty. Throws with a readable message when they are not publishable.
+        function readPollComposer() {
+            if (!document.getElementById('poll-composer')?.open) return null;
+            const options = document.getElementById('poll-options-input').value.split('\n').map(option => option.trim()).filter(Boolean);
+            if (options.length === 0) return null;
+
+            const { MIN_POLL_OPTIONS, MAX_POLL_OPTIONS, MAX_POLL_OPTION_BYTES } = window.kasterCodec;
+            if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+                throw new Error(window.i18n ? window.i18n.t('status.poll_option_count', { min: MIN_POLL_OPTIONS, max: MAX_POLL_OPTIONS }) : `A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options.`);
+            }
+            if (options.some(option => new TextEncoder().encode(option).length > MAX_POLL_OPTION_BYTES)) {
+                throw new Error(window.i18n ? window.i18n.t('status.poll_option_too_long', { max: MAX_POLL_OPTION_BYTES }) : `Poll options are limited to ${MAX_POLL_OPTION_BYTES} bytes.`);
+            }
+
+            const closesInput = document.getElementById('poll-closes-input').value;
+            const closesAt = closesInput ? Math.floor(new Date(closesInput).getTime() / 1000) : null;
+            if (closesAt !== null && closesAt * 1000 <= Date.now()) {
+                throw new Error(window.i18n ? window.i18n.t('status.poll_closes_in_past') : 'The closing time must be in the future.');
+            }
+            return { options, closesAt };
+        }
+
+        function encodeContinuationPart(message, parentTxid, chunk) {
+            return window.kasterCodec.compressPayload({ parentTxid, message, extensions: { chunk } });
+        }
+
+        function updateCharCounter(inputId, counterId, maxBytes) {
+            const text = document.getElementById(inputId).value, counter = document.getElementById(counterId);
+            const byteLength = new TextEncoder().encode(text).length;
+            counter.textContent = `${byteLength}/${maxBytes} bytes`;
+            counter.className = byteLength > maxBytes ? 'char-counter error' : 'char-counter';
+        }
+
+        // Latest measurement per counter, so that a slow compression result never overwrites a newer one
+        const messageCounterRequests = new Map();
+
+        // Message bodies are counted as written on the wire (compressed when smaller); beyond
+        // MAX_MESSAGE_BYTES they are published in several parts
+        async function updateMessageCharCounter(inputId, counterId) {
+            const text = document.getElementById(inputId)?.value ?? '', counter = document.getElementById(counterId);
+            if (!counter) return;
+
+            const requestId = (messageCounterRequests.get(counterId) || 0) + 1;
+            messageCounterRequests.set(counterId, requestId);
+            const { rawBytes, encodedBytes, compressed } = await window.kasterCodec.measureMessage(text);
+            if (messageCounterRequests.get(counterId) !== requestId) return;
+
+            if (encodedBytes <= MAX_MESSAGE_BYTES) {
+                counter.textContent = compressed && window.i18n
+                    ? window.i18n.t('misc.char_counter_compressed', { count: encodedBytes, max: MAX_MESSAGE_BYTES, raw: rawBytes })
+                    : `${encodedBytes}/${MAX_MESSAGE_BYTES} bytes${compressed ? ` (compressed, ${rawBytes} raw)` : ''}`;
+                counter.className = 'char-counter';
+                return;
+            }
+
+            const partCount = window.kasterCodec.splitMessage(text).length;
+            counter.textContent = window.i18n
+                ? window.i18n.t('misc.char_counter_parts', { count: rawBytes, parts: partCount })
+                : `${rawBytes} bytes · ${partCount} transactions`;
+            counter.className = partCount > MAX_CHUNKS ? 'char-counter error' : 'char-counter warning';
+        }
+
+        // =================================================================
+        // --- MULTI-PART PUBLICATION ---
+        // =================================================================
+
+        // Splits a message body for publication and asks for confirmation when it needs
+        // several transactions. `firstPartAmount` is what part 0 sends (a thread boost
+        // included), so that the total shown is what gets paid. Returns the parts, or null
+        // if the user declined.
+        async function splitMessageForPublication(message, firstPartAmount = AMOUNT_TO_SEND_SOMPIS) {
+            // A body that fits once compressed is published in a single transaction
+            const { encodedBytes } = await window.kasterCodec.measureMessage(message);
+            const parts = encodedBytes <= MAX_MESSAGE_BYTES ? [message] : window.kasterCodec.splitMessage(message);
+            if (parts.length > MAX_CHUNKS) {
+                throw new Error(window.i18n ? window.i18n.t('status.message_too_many_parts', { max: MAX_CHUNKS }) : `Message too long (more than ${MAX_CHUNKS} transactions).`);
+            }
+
+            if (parts.length > 1) {
+                const amount = formatKas(firstPartAmount + (parts.length - 1) * AMOUNT_TO_SEND_SOMPIS);
+                const boost = formatKas(firstPartAmount - AMOUNT_TO_SEND_SOMPIS);
+                const boosted = firstPartAmount > AMOUNT_TO_SEND_SOMPIS;
+                let question;
+                if (window.i18n) {
+                    question = window.i18n.t(boosted ? 'confirm.publish_parts_boost' : 'confirm.publish_parts', { count: parts.length, amount, boost });
+                } else {
+                    question = boosted
+                        ? `This message will be published as ${parts.length} transactions (${amount} KAS in total, including a ${boost} KAS boost). Continue?`
+                        : `This message will be published as ${parts.length} transactions (${amount} KAS). Continue?`;
+                }
+                if (!confirm(question)) return null;
+            }
+            return parts;
+        }
+
+        // KasWare resolves sendKaspa() with the txid, or with the serialized transaction depending on the version
+        function extractTxid(sendResult) {
+            if (window.kasterCodec.isTxid(sendResult)) return sendResult;
+            try {
+                const tx = typeof sendResult === 'string' ? JSON.parse(sendResult) : sendResult;
+                const txid = tx?.id || tx?.txid || tx?.transaction_id;
+                return window.kasterCodec.isTxid(txid) ? txid : null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        // Publishes the parts of a message in sequence: part 0 first, then the continuations
+        // that reference its txid. `encodePart(part, chunk)` resolves with the payload bytes of a part
+        // (chunk is undefined for single-part messages). Part 0 sends `firstPartAmount` (a thread boost),
+        // the others the base amount. Resolves with the txid of part 0 when known.
+        async function publishMessageParts(targetAddress, parts, encodePart, firstPartAmount = AMOUNT_TO_SEND_SOMPIS) {
+            const total = parts.length;
+            const chunkFor = (index, rootTxid) => total === 1 ? undefined : (index === 0 ? { index, total } : { index, total, rootTxid });
+
+            // Encode the first part before sending anything so that invalid fields fail early
+            let payloadHex = window.kasterCodec.bytesToHex(await encodePart(parts[0], chunkFor(0)));
+            let rootTxid = null;
+
+            for (let index = 0; index < total; index++) {
+                if (index > 0) {
+                    payloadHex = window.kasterCodec.bytesToHex(await encodePart(parts[index], chunkFor(index, rootTxid)));
+                }
+                if (total > 1) {
+                    showStatus('status.publishing_part', 'success', 60000, { current: index + 1, total });
+                }
+
+                let sendResult;
+                try {
+                    sendResult = await window.kasware.sendKaspa(targetAddress, index === 0 ? firstPartAmount : AMOUNT_TO_SEND_SOMPIS, { payload: payloadHex });
+                } catch (error) {
+                    if (index === 0) throw error;
+                    console.error(`Part ${index + 1}/${total} not published:`, error);
+                    throw new Error(window.i18n ? window.i18n.t('status.parts_partially_published', { sent: index, total }) : `Only ${index} of ${total} parts were published.`);
+                }
+
+                if (index === 0) {
+                    rootTxid = extractTxid(sendResult);
+                    if (!rootTxid && total > 1) {
+                        // Continuations need the root txid: wait for part 0 to show up on the API
+                        rootTxid = (await verifyTransactionPublication(targetAddress, payloadHex)).txid;
+                        if (!rootTxid) {
+                            throw new Error(window.i18n ? window.i18n.t('status.parts_partially_published', { sent: 1, total }) : `Only 1 of ${total} parts were published.`);
+                        }
+                    }
+                }
             }
-        }
-
-        function encodePayloadForThread(title, message, theme, lang, priority) {
-            const encoder = new TextEncoder();
-            // Limit title to 40 characters to avoid overflow
-            const truncatedTitle = title.length > 40 ? title.substring(0, 40) + '...' : title;
-            const titleBytes = encoder.encode(truncatedTitle), messageBytes = encoder.encode(message), themeBytes = encoder.encode(theme), langBytes = encoder.encode(lang);
-            if (titleBytes.length > MAX_TITLE_BYTES || messageBytes.length > MAX_MESSAGE_BYTES) throw new Error("Title or message too long.");
-            const parentTxidBytes = new Uint8Array(32).fill(0);
-            const payloadSize = 1 + 32 + 2 + themeBytes.length + 2 + langBytes.length + 1 + 2 + titleBytes.length + 2 + messageBytes.length;
-            const buffer = new ArrayBuffer(payloadSize), view = new DataView(buffer); let offset = 0;
-            view.setUint8(offset, 4); offset += 1;
-            new Uint8Array(buffer, offset).set(parentTxidBytes); offset += 32;
-            view.setUint16(offset, themeBytes.length, false); offset += 2; new Uint8Array(buffer, offset).set(themeBytes); offset += themeBytes.length;
-            view.setUint16(offset, langBytes.length, false); offset += 2; new Uint8Array(buffer, offset).set(langBytes); offset += langBytes.length;
-            view.setUint8(offset, priority); offset += 1;
-            view.setUint16(offset, titleBytes.length, false); offset += 2; new Uint8Array(buffer, offset).set(titleBytes); offset += titleBytes.length;
-            view.setUint16(offset, messageBytes.length, false); offset += 2; new Uint8Array(buffer, offset).set(messageBytes);
-            return new Uint8Array(buffer);
-        }
 
-        function updateCharCounter(inputId, counterId, maxBytes) {
-            const text = document.getElementById(inputId).value, counter = document.getElementById(counterId);
-            const byteLength = new TextEncoder().encode(text).length;
-            counter.textContent = `${byteLength}/${maxBytes} bytes`;
-            counter.className = byteLength > maxBytes ? 'char-counter error' : 'char-counter';
+            return rootTxid;
         }
 
         // =================================================================
         // --- thread.js (Thread Logic - Adapted to new API) ---
         // =================================================================
+        const MAX_REPLY_DEPTH = 5; // Nesting levels shown before "continue this thread"
+
         async function initializeThreadPage() {
-            const state = { isConnected: false, userAddress: '', threadTxid: null, threadData: null, replies: [] };
+            const state = { isConnected: false, userAddress: '', threadTxid: null, threadData: null, replies: [], replyTarget: null };
             const urlParams = new URLSearchParams(window.location.search);
             state.threadTxid = urlParams.get('txid');
+            state.focusTxid = urlParams.get('focus'); // Branch opened from a "continue this thread" link
             if (!state.threadTxid) { document.body.innerHTML = `<h1>${window.i18n ? window.i18n.t('error.missing_txid') : 'Error: Missing transaction ID.'}</h1>`; return; }
 
             // Force hide redundant floating buttons on thread page
@@ -3043,11 +5360,13 @@
 
             try {
                 await window.kasterDB.init();
+                await kasterBoards.load();
                 const walletState = await tryRestoreWalletConnection();
                 Object.assign(state, walletState);
                 initializeSharedUI(state);
                 attachThreadPageEventListeners(state);
                 await loadAndDisplaySingleThread(state);
+                setupLiveMode(state, () => [state.threadData?.sender_address].filter(Boolean), () => refreshLiveReplies(state));
             } catch (error) {
                 console.error("Thread initialization error:", error);
                 showStatus("error.init_error", 'error', 10000);
@@ -3059,8 +5378,19 @@
             document.getElementById('reply-message')?.addEventListener('input', updateReplyCharCounter);
             document.getElementById('main-thread-actions')?.addEventListener('click', (e) => handleThreadAction(e, state));
             document.getElementById('refresh-thread-btn')?.addEventListener('click', () => handleRefreshThreadClick(state));
+            document.getElementById('discovery-continue-btn')?.addEventListener('click', () => handleDiscoveryContinueClick(state));
+            document.getElementById('live-new-replies')?.addEventListener('click', () => {
+                state.liveNewCount = 0;
+                updateLiveIndicator('live-new-replies', 0);
+                document.querySelector('#replies-container .live-new')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            });
             // Event listener for reply actions
             document.getElementById('replies-container')?.addEventListener('click', (e) => handleReplyAction(e, state));
+            document.getElementById('thread-reactions')?.addEventListener('click', (e) => handleReactionAction(e, state));
+            document.getElementById('thread-poll')?.addEventListener('click', (e) => handlePollAction(e, state));
+            document.getElementById('clear-reply-target-btn')?.addEventListener('click', () => clearReplyTarget(state));
+            document.getElementById('clear-quote-btn')?.addEventListener('click', () => clearQuote(state));
+            setupEditModal(state);
         }
 
         async function loadAndDisplaySingleThread(state) {
@@ -3071,38 +5401,28 @@
             // Thread will now attempt to load regardless of KasWare presence.
 
             try {
-                const { messages, thread_info } = await window.kasterAPI.fetchThread(state.threadTxid);
+                const { messages, thread_info, discovery } = await window.kasterAPI.fetchThread(state.threadTxid);
                 if (!thread_info) { mainContent.innerHTML = `<h1>${window.i18n ? window.i18n.t('error.thread_not_found') : 'Thread not found.'}</h1>`; return; }
                 state.threadData = thread_info;
                 state.replies = messages.filter(m => m.txid !== state.threadTxid);
-                renderThreadHeader(state.threadData);
-                // Filter hidden replies, blacklisted authors, and replies with unwanted terms
-                const blacklistedWallets = await window.kasterDB.getBlacklistedWallets();
-                const hiddenMessages = await window.kasterDB.getHiddenMessages();
-
-                const filteredReplies = [];
-                for (const reply of state.replies) {
-                    // Basic checks
-                    if (blacklistedWallets.includes(reply.sender_address) ||
-                        hiddenMessages.includes(reply.txid)) {
-                        continue;
-                    }
-
-                    // Check for unwanted terms in reply message
-                    const messageCheck = await window.kasterDB.containsFilteredTerms(reply.message || '');
-
-                    if (messageCheck.hasFilteredTerm) {
-                        console.log(`🚫 Reply filtered for unwanted terms: ${reply.txid}`, messageCheck.matchedTerms);
-                        continue;
-                    }
-
-                    filteredReplies.push(reply);
-                }
-                renderReplies(filteredReplies);
+                state.discovery = discovery;
+                state.liveNewCount = 0;
+                state.liveSeenTxids = new Set();
+                updateLiveIndicator('live-new-replies', 0);
+                renderThreadHeader(state.threadData, state);
+                const filteredReplies = await filterVisibleReplies(state.replies);
+                // What quotes may be cut from: hidden, blacklisted and filtered messages are left out
+                state.visibleMessages = [state.threadData, ...filteredReplies];
+                renderReplies(filteredReplies, state);
+                renderDiscoveryNotice(discovery);
+                await renderReactions(state);
+                await renderPoll(state);
                 updateReplyFormState(state); // This will correctly disable reply if not connected
+                renderDecodeDebugPanel();
 
                 // Mark this thread as visited with the current number of replies
                 await markThreadAsVisited(state.threadTxid, state.replies.length);
+                await refreshMentionsInbox(state);
 
             } catch (error) {
                 console.error("Error loading thread:", error);
@@ -3114,6 +5434,32 @@
             }
         }
 
+        // Filter hidden replies, blacklisted authors, and replies with unwanted terms
+        async function filterVisibleReplies(replies) {
+            const blacklistedWallets = await window.kasterDB.getBlacklistedWallets();
+            const hiddenMessages = await window.kasterDB.getHiddenMessages();
+
+            const filteredReplies = [];
+            for (const reply of replies) {
+                // Basic checks
+                if (blacklistedWallets.includes(reply.sender_address) ||
+                    hiddenMessages.includes(reply.txid)) {
+                    continue;
+                }
+
+                // Check for unwanted terms in reply message
+                const messageCheck = await window.kasterDB.containsFilteredTerms(reply.message || '');
+
+                if (messageCheck.hasFilteredTerm) {
+                    console.log(`🚫 Reply filtered for unwanted terms: ${reply.txid}`, messageCheck.matchedTerms);
+                    continue;
+                }
+
+                filteredReplies.push(reply);
+            }
+            return filteredReplies;
+        }
+
         async function markThreadAsVisited(txid, replyCount) {
             try {
                 await window.kasterDB.updateThreadVisit(txid, replyCount, Date.now());
@@ -3134,19 +5480,23 @@
             content.classList.toggle('d-none', isLoading);
         }
 
-        function renderThreadHeader(thread) {
+        function renderThreadHeader(thread, state) {
+            // A thread retracted by its author stays collapsed until the reader reveals it
+            const collapsed = thread.retracted && !thread.revealed;
+            const retractedTitle = window.i18n ? window.i18n.t('thread.retracted_by_author') : '🗑️ Retracted by author';
+
             // Breadcrumb: 50 max characters with "..." (doubled)
-            const breadcrumbTitle = thread.title && thread.title.length > 50
+            const breadcrumbTitle = collapsed ? retractedTitle : thread.title && thread.title.length > 50
                 ? thread.title.substring(0, 50) + '...'
                 : thread.title || 'Discussion';
 
             // Main bold title: 20 max characters with "..." (doubled)
-            const mainTitle = thread.title && thread.title.length > 20
+            const mainTitle = collapsed ? retractedTitle : thread.title && thread.title.length > 20
                 ? thread.title.substring(0, 20) + '...'
                 : thread.title || 'Discussion';
 
             document.getElementById('thread-title').textContent = mainTitle;
-            document.getElementById('thread-title').title = thread.title; // Full title on hover
+            document.getElementById('thread-title').title = collapsed ? '' : thread.title; // Full title on hover
             document.getElementById('breadcrumb-current').textContent = breadcrumbTitle;
             // Format address without kaspa: prefix
             const cleanAddress = thread.sender_address.replace(/^kaspa:/, '');
@@ -3155,10 +5505,126 @@
             document.getElementById('thread-date').textContent = new Date(thread.block_time).toLocaleString(window.i18n?.currentLang === 'en' ? 'en-US' : 'fr-FR');
             document.getElementById('thread-txid').textContent = truncateAddress(thread.txid, 6, 4);
             document.getElementById('thread-txid').href = `https://explorer.kaspa.org/txs/${thread.txid}`;
-            document.getElementById('thread-message-body').textContent = thread.message;
+            renderMessageBody(document.getElementById('thread-message-body'), thread.message);
+            document.getElementById('thread-reactions').dataset.targetTxid = thread.txid;
+
+            const incompleteNotice = document.getElementById('thread-incomplete-notice');
+            incompleteNotice.replaceChildren();
+            incompleteNotice.classList.toggle('d-none', !thread.incomplete);
+            if (thread.incomplete) incompleteNotice.appendChild(createIncompleteNotice(thread));
+
+            const revisionHistory = document.getElementById('thread-revision-history');
+            revisionHistory.replaceChildren();
+            if (thread.edited) revisionHistory.appendChild(createRevisionHistory(thread));
+
+            const retractedNotice = document.getElementById('thread-retracted-notice');
+            retractedNotice.replaceChildren();
+            if (thread.retracted) {
+                retractedNotice.appendChild(collapsed
+                    ? createRetractedPlaceholder(() => { thread.revealed = true; renderThreadHeader(thread, state); })
+                    : createRetractedLabel());
+            }
+            [document.getElementById('thread-message-body'), revisionHistory, document.getElementById('thread-reactions')].forEach(element => element.classList.toggle('d-none', collapsed));
+            if (collapsed) incompleteNotice.classList.add('d-none');
+            document.getElementById('thread-poll').classList.toggle('d-none', collapsed || !thread.extensions?.poll);
+
+            document.getElementById('quote-thread-btn')?.classList.toggle('d-none', !state.isConnected || collapsed);
+
+            const canAmend = canEditMessage(state, thread) && !thread.retracted;
+            document.getElementById('edit-thread-btn')?.classList.toggle('d-none', !canAmend);
+            document.getElementById('retract-thread-btn')?.classList.toggle('d-none', !canAmend);
+        }
+
+        // Notice shown under a long message when some of its parts were not found
+        function createIncompleteNotice(message) {
+            const notice = document.createElement('p');
+            notice.className = 'incomplete-notice';
+            const missing = message.missingParts.map(index => index + 1).join(', ');
+            notice.textContent = window.i18n
+                ? window.i18n.t('thread.incomplete_message', { missing, total: message.partCount })
+                : `⚠️ Incomplete message: part(s) ${missing} of ${message.partCount} not found yet.`;
+            return notice;
+        }
+
+        // "Edited" marker that unfolds into every version of the message, original first
+        function createRevisionHistory(message) {
+            const locale = window.i18n?.currentLang === 'en' ? 'en-US' : 'fr-FR';
+            const details = document.createElement('details');
+            details.className = 'revision-history';
+
+            const summary = document.createElement('summary');
+            const editedAt = new Date(message.editedAt).toLocaleString(locale);
+            summary.textContent = window.i18n ? window.i18n.t('thread.edited_marker', { date: editedAt }) : `✏️ Edited (${editedAt})`;
+            details.appendChild(summary);
+
+            const list = document.createElement('ol');
+            list.className = 'revision-list';
+            message.revisions.forEach((revision, index) => {
+                const item = document.createElement('li');
+
+                const meta = document.createElement('div');
+                meta.className = 'revision-meta';
+                const date = new Date(revision.block_time).toLocaleString(locale);
+                meta.textContent = index === 0
+                    ? (window.i18n ? window.i18n.t('thread.revision_original', { date }) : `Original · ${date}`)
+                    : (window.i18n ? window.i18n.t('thread.revision_edit', { number: index, date }) : `Edit ${index} · ${date}`);
+                item.appendChild(meta);
+
+                if (revision.title) {
+                    const title = document.createElement('strong');
+                    title.textContent = revision.title;
+                    item.appendChild(title);
+                }
+
+                const body = document.createElement('div');
+                body.className = 'message-body';
+                renderMessageBody(body, revision.message);
+                item.appendChild(body);
+
+                list.appendChild(item);
+            });
+            details.appendChild(list);
+
+            return details;
+        }
+
+        // Collapsed stand-in for a message withdrawn by its author; `reveal` shows the content
+        function createRetractedPlaceholder(reveal) {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'retracted-placeholder';
+
+            const text = document.createElement('span');
+            text.textContent = window.i18n ? window.i18n.t('thread.retracted_by_author') : '🗑️ Retracted by author';
+
+            const revealButton = document.createElement('button');
+            revealButton.type = 'button';
+            revealButton.className = 'button-secondary-small';
+            revealButton.textContent = window.i18n ? window.i18n.t('thread.actions.reveal') : 'Show anyway';
+            revealButton.addEventListener('click', (e) => {
+                // The thread list wraps cards in links: reveal without navigating
+                e.preventDefault();
+                e.stopPropagation();
+                reveal();
+            });
+
+            placeholder.append(text, revealButton);
+            return placeholder;
+        }
+
+        // Shown above retracted content once the reader chose to reveal it
+        function createRetractedLabel() {
+            const label = document.createElement('p');
+            label.className = 'retracted-label';
+            label.textContent = window.i18n ? window.i18n.t('thread.retracted_revealed') : '🗑️ Retracted by author, shown on request';
+            return label;
+        }
+
+        // Edits and retractions are only honoured from the original sender, so only offer them there
+        function canEditMessage(state, message) {
+            return !!state?.isConnected && state.userAddress === message.sender_address;
         }
 
-        function renderReplies(filteredReplies) {
+        function renderReplies(filteredReplies, state) {
             const container = document.getElementById('replies-container');
             const repliesCountEl = document.getElementById('replies-count');
 
@@ -3178,68 +5644,232 @@
 
             // FIX: Using DOM element creation to prevent XSS vulnerabilities
             container.innerHTML = ''; // Clear container
-            filteredReplies.forEach(reply => {
-                const cleanAddress = reply.sender_address.replace(/^kaspa:/, '');
-
-                const replyDiv = document.createElement('div');
-                replyDiv.className = 'reply';
-                replyDiv.id = `reply-${reply.txid}`;
 
-                const metadataDiv = document.createElement('div');
-                metadataDiv.className = 'message-metadata';
+            // "Continue this thread" links open a single branch (?focus=<reply txid>)
+            let nodes = window.kasterCodec.buildReplyTree(filteredReplies);
+            const focusedNode = state.focusTxid ? findReplyNode(nodes, state.focusTxid) : null;
+            if (focusedNode) {
+                const backLink = document.createElement('a');
+                backLink.className = 'continue-thread-link';
+                backLink.href = `?txid=${state.threadTxid}`;
+                backLink.textContent = window.i18n ? window.i18n.t('thread.show_whole_discussion') : '← Show the whole discussion';
+                container.appendChild(backLink);
+                nodes = [focusedNode];
+            }
 
-                const metadataLineDiv = document.createElement('div');
-                metadataLineDiv.className = 'metadata-line';
+            renderReplyBranch(container, nodes, 0, state);
+        }
 
-                const authorSpan = document.createElement('span');
-                const authorStrong = document.createElement('strong');
-                authorStrong.title = reply.sender_address;
-                authorStrong.textContent = truncateAddress(cleanAddress);
-                authorSpan.textContent = `${window.i18n ? window.i18n.t('meta.by') : 'By:'} `;
-                authorSpan.appendChild(authorStrong);
+        // Appends reply nodes (see kasterCodec.buildReplyTree) and, down to MAX_REPLY_DEPTH,
+        // their answers; deeper answers are reached through a "continue this thread" link
+        function renderReplyBranch(parentElement, nodes, depth, state) {
+            nodes.forEach(({ message: reply, children, parentMissing }) => {
+                const branch = document.createElement('div');
+                branch.className = 'reply-branch';
+
+                const replyDiv = createReplyElement(reply, state);
+                if (reply.liveNew) replyDiv.classList.add('live-new');
+                if (parentMissing) {
+                    const note = document.createElement('p');
+                    note.className = 'reply-parent-missing';
+                    note.textContent = window.i18n ? window.i18n.t('thread.reply_parent_missing') : '↪ In reply to a message that is not shown';
+                    replyDiv.prepend(note);
+                }
+                branch.appendChild(replyDiv);
+
+                if (children.length > 0 && depth + 1 >= MAX_REPLY_DEPTH) {
+                    const continueLink = document.createElement('a');
+                    continueLink.className = 'continue-thread-link';
+                    continueLink.href = `?txid=${state.threadTxid}&focus=${reply.txid}`;
+                    continueLink.textContent = window.i18n
+                        ? window.i18n.t('thread.continue_thread', { count: countReplyNodes(children) })
+                        : `Continue this thread (${countReplyNodes(children)}) →`;
+                    branch.appendChild(continueLink);
+                } else if (children.length > 0) {
+                    const childrenDiv = document.createElement('div');
+                    childrenDiv.className = 'reply-children';
+                    renderReplyBranch(childrenDiv, children, depth + 1, state);
+
+                    const toggleButton = document.createElement('button');
+                    toggleButton.type = 'button';
+                    toggleButton.className = 'branch-toggle';
+                    toggleButton.dataset.action = 'toggle-branch';
+                    toggleButton.dataset.count = countReplyNodes(children);
+                    updateBranchToggle(toggleButton, false);
+
+                    branch.append(toggleButton, childrenDiv);
+                }
 
-                const dateSpan = document.createElement('span');
-                dateSpan.textContent = new Date(reply.block_time).toLocaleString(window.i18n?.currentLang === 'en' ? 'en-US' : 'fr-FR');
-
-                metadataLineDiv.append(authorSpan, dateSpan);
-                metadataDiv.appendChild(metadataLineDiv);
-
-                const bodyDiv = document.createElement('div');
-                bodyDiv.className = 'message-body';
-                bodyDiv.textContent = reply.message; // Using textContent
-
-                const actionsDiv = document.createElement('div');
-                actionsDiv.className = 'message-actions';
-                actionsDiv.className = 'message-actions message-actions-reply';
-
-                // Create action buttons
-                const hideButton = document.createElement('button');
-                hideButton.dataset.action = 'hide';
-                hideButton.dataset.replyTxid = reply.txid;
-                hideButton.className = 'button-secondary-small';
-                hideButton.dataset.i18n = 'thread.actions.hide';
-                hideButton.textContent = window.i18n ? window.i18n.t('thread.actions.hide') : 'Hide';
-
-                const blacklistButton = document.createElement('button');
-                blacklistButton.dataset.action = 'blacklist';
-                blacklistButton.dataset.replyAddress = reply.sender_address;
-                blacklistButton.className = 'button-secondary-small';
-                blacklistButton.dataset.i18n = 'thread.actions.blacklist';
-                blacklistButton.textContent = window.i18n ? window.i18n.t('thread.actions.blacklist') : 'Blacklist';
-
-                const donateButton = document.createElement('button');
-                donateButton.dataset.action = 'donate';
-                donateButton.dataset.replyAddress = reply.sender_address;
-                donateButton.className = 'button-primary-small';
-                donateButton.dataset.i18n = 'thread.actions.donate';
-                donateButton.textContent = window.i18n ? window.i18n.t('thread.actions.donate') : 'Donate';
-
-                actionsDiv.append(hideButton, blacklistButton, donateButton);
-                replyDiv.append(metadataDiv, bodyDiv, actionsDiv);
-                container.appendChild(replyDiv);
+                parentElement.appendChild(branch);
             });
         }
 
+        function updateBranchToggle(button, collapsed) {
+            const count = button.dataset.count;
+            button.textContent = collapsed
+                ? (window.i18n ? window.i18n.t('thread.show_branch', { count }) : `▸ Show ${count} answer(s)`)
+                : (window.i18n ? window.i18n.t('thread.hide_branch', { count }) : `▾ Hide ${count} answer(s)`);
+        }
+
+        // Excerpt cut from the quoted message (never copied into the reply), with a link to it
+        function createQuotedExcerpt(quote, state) {
+            const block = document.createElement('blockquote');
+            block.className = 'quoted-excerpt';
+
+            const resolved = window.kasterCodec.resolveQuote(quote, state.visibleMessages || []);
+            if (!resolved || resolved.message.retracted) {
+                block.classList.add('unavailable');
+                block.textContent = window.i18n ? window.i18n.t('thread.quote_unavailable') : 'Quoted message unavailable';
+                return block;
+            }
+
+            const { message } = resolved;
+            const sourceLink = document.createElement('a');
+            sourceLink.className = 'quote-source';
+            sourceLink.href = message.txid === state.threadTxid ? '#thread-main-content' : `#reply-${message.txid}`;
+            const author = truncateAddress(message.sender_address.replace(/^kaspa:/, ''));
+            sourceLink.textContent = window.i18n ? window.i18n.t('thread.quote_source', { address: author }) : `${author} wrote:`;
+
+            const text = document.createElement('div');
+            text.className = 'quote-text';
+            text.textContent = resolved.text; // Plain text: the range may cut through Markdown
+
+            block.append(sourceLink, text);
+            return block;
+        }
+
+        function countReplyNodes(nodes) {
+            return nodes.reduce((sum, node) => sum + 1 + countReplyNodes(node.children), 0);
+        }
+
+        function findReplyNode(nodes, txid) {
+            for (const node of nodes) {
+                if (node.message.txid === txid) return node;
+                const found = findReplyNode(node.children, txid);
+                if (found) return found;
+            }
+            return null;
+        }
+
+        function createReplyElement(reply, state) {
+            const cleanAddress = reply.sender_address.replace(/^kaspa:/, '');
+
+            const replyDiv = document.createElement('div');
+            replyDiv.className = 'reply';
+            replyDiv.id = `reply-${reply.txid}`;
+
+            const metadataDiv = document.createElement('div');
+            metadataDiv.className = 'message-metadata';
+
+            const metadataLineDiv = document.createElement('div');
+            metadataLineDiv.className = 'metadata-line';
+
+            const authorSpan = document.createElement('span');
+            const authorStrong = document.createElement('strong');
+            authorStrong.title = reply.sender_address;
+            authorStrong.textContent = truncateAddress(cleanAddress);
+            authorSpan.textContent = `${window.i18n ? window.i18n.t('meta.by') : 'By:'} `;
+            authorSpan.appendChild(authorStrong);
+
+            const dateSpan = document.createElement('span');
+            dateSpan.textContent = new Date(reply.block_time).toLocaleString(window.i18n?.currentLang === 'en' ? 'en-US' : 'fr-FR');
+
+            metadataLineDiv.append(authorSpan, dateSpan);
+            metadataDiv.appendChild(metadataLineDiv);
+
+            const bodyDiv = document.createElement('div');
+            bodyDiv.className = 'message-body';
+            renderMessageBody(bodyDiv, reply.message); // Builds DOM nodes, never HTML
+
+            const actionsDiv = document.createElement('div');
+            actionsDiv.className = 'message-actions';
+            actionsDiv.className = 'message-actions message-actions-reply';
+
+            // Create action buttons
+            const hideButton = document.createElement('button');
+            hideButton.dataset.action = 'hide';
+            hideButton.dataset.replyTxid = reply.txid;
+            hideButton.className = 'button-secondary-small';
+            hideButton.dataset.i18n = 'thread.actions.hide';
+            hideButton.textContent = window.i18n ? window.i18n.t('thread.actions.hide') : 'Hide';
+
+            const blacklistButton = document.createElement('button');
+            blacklistButton.dataset.action = 'blacklist';
+            blacklistButton.dataset.replyAddress = reply.sender_address;
+            blacklistButton.className = 'button-secondary-small';
+            blacklistButton.dataset.i18n = 'thread.actions.blacklist';
+            blacklistButton.textContent = window.i18n ? window.i18n.t('thread.actions.blacklist') : 'Blacklist';
+
+            const donateButton = document.createElement('button');
+            donateButton.dataset.action = 'donate';
+            donateButton.dataset.replyAddress = reply.sender_address;
+            donateButton.className = 'button-primary-small';
+            donateButton.dataset.i18n = 'thread.actions.donate';
+            donateButton.textContent = window.i18n ? window.i18n.t('thread.actions.donate') : 'Donate';
+
+            actionsDiv.append(hideButton, blacklistButton, donateButton);
+
+            if (state.isConnected) {
+                const replyButton = document.createElement('button');
+                replyButton.dataset.action = 'reply-to';
+                replyButton.dataset.replyTxid = reply.txid;
+                replyButton.className = 'button-secondary-small';
+                replyButton.dataset.i18n = 'thread.actions.reply';
+                replyButton.textContent = window.i18n ? window.i18n.t('thread.actions.reply') : 'Reply';
+
+                const quoteButton = document.createElement('button');
+                quoteButton.dataset.action = 'quote';
+                quoteButton.dataset.replyTxid = reply.txid;
+                quoteButton.className = 'button-secondary-small';
+                quoteButton.dataset.i18n = 'thread.actions.quote';
+                quoteButton.textContent = window.i18n ? window.i18n.t('thread.actions.quote') : 'Quote';
+
+                actionsDiv.prepend(replyButton, quoteButton);
+            }
+
+            if (canEditMessage(state, reply) && !reply.retracted) {
+                const editButton = document.createElement('button');
+                editButton.dataset.action = 'edit';
+                editButton.dataset.replyTxid = reply.txid;
+                editButton.className = 'button-secondary-small';
+                editButton.dataset.i18n = 'thread.actions.edit';
+                editButton.textContent = window.i18n ? window.i18n.t('thread.actions.edit') : 'Edit';
+
+                const retractButton = document.createElement('button');
+                retractButton.dataset.action = 'retract';
+                retractButton.dataset.replyTxid = reply.txid;
+                retractButton.className = 'button-secondary-small';
+                retractButton.dataset.i18n = 'thread.actions.retract';
+                retractButton.textContent = window.i18n ? window.i18n.t('thread.actions.retract') : 'Retract';
+
+                actionsDiv.append(editButton, retractButton);
+            }
+            const contentDiv = document.createElement('div');
+            if (reply.extensions?.quote) contentDiv.appendChild(createQuotedExcerpt(reply.extensions.quote, state));
+            contentDiv.appendChild(bodyDiv);
+            if (reply.incomplete) contentDiv.appendChild(createIncompleteNotice(reply));
+            if (reply.edited) contentDiv.appendChild(createRevisionHistory(reply));
+
+            const reactionBar = document.createElement('div');
+            reactionBar.className = 'reaction-bar';
+            reactionBar.dataset.targetTxid = reply.txid; // Filled by renderReactions()
+            contentDiv.appendChild(reactionBar);
+
+            replyDiv.appendChild(metadataDiv);
+            if (reply.retracted) {
+                // Collapsed behind a placeholder until the reader reveals it
+                replyDiv.classList.add('retracted');
+                contentDiv.classList.add('d-none');
+                const placeholder = createRetractedPlaceholder(() => {
+                    placeholder.replaceWith(createRetractedLabel());
+                    contentDiv.classList.remove('d-none');
+                });
+                replyDiv.appendChild(placeholder);
+            }
+            replyDiv.append(contentDiv, actionsDiv);
+            return replyDiv;
+        }
+
         function updateReplyFormState(state) {
             const replyContainer = document.getElementById('reply-form-container');
             const replyWarning = document.getElementById('reply-warning');
@@ -3264,20 +5894,28 @@
 
             try {
                 const message = document.getElementById('reply-message').value;
-                const payloadBytes = encodePayloadForReply(message, state.threadTxid);
-                const payloadHex = Array.from(payloadBytes).map(b => b.toString(16).padStart(2, '0')).join('');
+                const parts = await splitMessageForPublication(message);
+                if (!parts) return;
 
                 // Mark transaction as in progress
                 isTransactionPending = true;
 
-                // Note: Replies are sent to the original author's address
-                const txid = await window.kasware.sendKaspa(state.threadData.sender_address, AMOUNT_TO_SEND_SOMPIS, { payload: payloadHex });
+                // Note: Replies (and all their parts) are sent to the original author's address,
+                // answers to a reply to the author of that reply
+                const target = state.replyTarget;
+                const targetAddress = target ? target.sender_address : state.threadData.sender_address;
+                const quote = state.quoteTarget && { targetTxid: state.quoteTarget.targetTxid, start: state.quoteTarget.start, end: state.quoteTarget.end };
+                const txid = await publishMessageParts(targetAddress, parts, (part, chunk) => chunk?.index > 0
+                    ? encodeContinuationPart(part, state.threadTxid, chunk)
+                    : encodePayloadForReply(part, state.threadTxid, chunk, target?.txid, quote));
 
                 // Transaction sent successfully
                 isTransactionPending = false;
 
                 // Reset form immediately
                 replyForm.reset();
+                clearReplyTarget(state);
+                clearQuote(state);
 
                 // Display status message asking to refresh
                 showStatus('status.reply_sent_refresh', 'success', 10000);
@@ -3294,31 +5932,176 @@
             }
         }
 
-        function encodePayloadForReply(message, parentTxid) {
-            const messageBytes = new TextEncoder().encode(message);
-            if (messageBytes.length > MAX_MESSAGE_BYTES) throw new Error("Message too long.");
-            const parentTxidBytes = window.kasterAPI.hexToBytes(parentTxid);
-            const payloadSize = 1 + 32 + 2 + 0 + 2 + 0 + 1 + 2 + 0 + 2 + messageBytes.length;
-            const buffer = new ArrayBuffer(payloadSize), view = new DataView(buffer); let offset = 0;
-            view.setUint8(offset, 4); offset += 1;
-            new Uint8Array(buffer, offset).set(parentTxidBytes); offset += 32;
-            view.setUint16(offset, 0, false); offset += 2; // theme
-            view.setUint16(offset, 0, false); offset += 2; // lang
-            view.setUint8(offset, 0); offset += 1; // priority
-            view.setUint16(offset, 0, false); offset += 2; // title
-            view.setUint16(offset, messageBytes.length, false); offset += 2; new Uint8Array(buffer, offset).set(messageBytes);
-            return new Uint8Array(buffer);
+        // `replyToTxid` is set when answering another reply rather than the thread,
+        // `quote` ({ targetTxid, start, end }) when quoting part of a message
+        function encodePayloadForReply(message, parentTxid, chunk, replyToTxid, quote) {
+            return window.kasterCodec.compressPayload({
+                parentTxid, message, extensions: { chunk, replyTo: replyToTxid ? { targetTxid: replyToTxid } : undefined, quote }
+            });
+        }
+
+        function setReplyTarget(state, reply) {
+            if (!reply) return;
+            state.replyTarget = reply;
+            const banner = document.getElementById('reply-target-banner');
+            const address = truncateAddress(reply.sender_address.replace(/^kaspa:/, ''));
+            document.getElementById('reply-target-text').textContent = window.i18n
+                ? window.i18n.t('thread.replying_to', { address })
+                : `↪ Replying to ${address} (fees go to this author)`;
+            banner.classList.remove('d-none');
+            document.getElementById('reply-form-container').scrollIntoView({ behavior: 'smooth' });
+            document.getElementById('reply-message').focus();
+        }
+
+        function clearReplyTarget(state) {
+            state.replyTarget = null;
+            document.getElementById('reply-target-banner')?.classList.add('d-none');
+        }
+
+        // Quotes the text selected in `message`, or the whole message when the selection is
+        // elsewhere or does not match its source text (e.g. across Markdown formatting).
+        // The latest version is quoted, through the txid of the edit that produced it.
+        function startQuote(state, message) {
+            if (!message) return;
+            const revision = message.revisions ? message.revisions[message.revisions.length - 1] : message;
+            const selection = window.getSelection()?.toString().trim();
+            const range = window.kasterCodec.findQuoteRange(revision.message, selection)
+                || window.kasterCodec.findQuoteRange(revision.message, revision.message);
+            if (!range) return;
+
+            const excerpt = new TextDecoder().decode(new TextEncoder().encode(revision.message).slice(range.start, range.end));
+            state.quoteTarget = { targetTxid: revision.txid, ...range };
+            document.getElementById('quote-preview-text').textContent = excerpt.length > 120 ? `${excerpt.substring(0, 120)}…` : excerpt;
+            document.getElementById('quote-preview').classList.remove('d-none');
+
+            // Quoting a reply answers it; quoting the thread is a plain reply
+            if (message.txid !== state.threadTxid) {
+                setReplyTarget(state, message);
+            } else {
+                document.getElementById('reply-form-container').scrollIntoView({ behavior: 'smooth' });
+                document.getElementById('reply-message').focus();
+            }
+        }
+
+        function clearQuote(state) {
+            state.quoteTarget = null;
+            document.getElementById('quote-preview')?.classList.add('d-none');
         }
 
         function updateReplyCharCounter() {
-            const message = document.getElementById('reply-message').value, counter = document.getElementById('reply-char-counter');
-            const messageBytes = new TextEncoder().encode(message).length;
-            if (counter) {
-                counter.textContent = `${messageBytes}/${MAX_MESSAGE_BYTES} bytes`;
-                counter.className = messageBytes > MAX_MESSAGE_BYTES ? 'char-counter error' : 'char-counter';
+            updateMessageCharCounter('reply-message', 'reply-char-counter');
+        }
+
+        // =================================================================
+        // --- Message Edits & Retractions ---
+        // Both are new transactions referencing the original txid. They repeat the
+        // original's parentTxid and go to the same address, so that readers find them
+        // next to the message they amend.
+        // =================================================================
+        function getAmendmentRoute(state, message) {
+            const isThread = message.txid === state.threadTxid;
+            return {
+                isThread,
+                // Thread amendments go to the thread's board, reply amendments to the thread author (like replies)
+                targetAddress: isThread ? (state.threadData.board || PROTOCOL_ADDRESS) : state.threadData.sender_address,
+                parentTxid: isThread ? window.kasterCodec.ROOT_PARENT_TXID : state.threadTxid
+            };
+        }
+
+        function setupEditModal(state) {
+            const modal = document.getElementById('editMessageModal');
+            if (!modal) return;
+
+            const closeModal = () => {
+                modal.classList.remove('d-block');
+                document.getElementById('edit-message-form').reset();
+                state.editTarget = null;
+            };
+
+            modal.querySelector('.close')?.addEventListener('click', closeModal);
+            document.getElementById('cancel-edit-btn')?.addEventListener('click', closeModal);
+            window.addEventListener('click', (event) => { if (event.target == modal) closeModal(); });
+
+            document.getElementById('edit-title-input')?.addEventListener('input', () => updateCharCounter('edit-title-input', 'edit-title-char-counter', MAX_TITLE_BYTES));
+            document.getElementById('edit-message-input')?.addEventListener('input', () => updateMessageCharCounter('edit-message-input', 'edit-message-char-counter'));
+            document.getElementById('edit-message-form')?.addEventListener('submit', async (e) => {
+                await handleEditSubmit(e, state);
+                if (!state.editTarget) closeModal();
+            });
+        }
+
+        function openEditModal(state, message) {
+            if (!message || !canEditMessage(state, message)) {
+                showStatus('status.edit_not_allowed', 'error');
+                return;
+            }
+
+            const isThread = message.txid === state.threadTxid;
+            state.editTarget = message;
+            document.getElementById('edit-title-group').classList.toggle('d-none', !isThread);
+            document.getElementById('edit-title-input').value = isThread ? message.title : '';
+            document.getElementById('edit-message-input').value = message.message;
+            updateCharCounter('edit-title-input', 'edit-title-char-counter', MAX_TITLE_BYTES);
+            updateMessageCharCounter('edit-message-input', 'edit-message-char-counter');
+            document.getElementById('editMessageModal').classList.add('d-block');
+        }
+
+        async function handleEditSubmit(e, state) {
+            e.preventDefault();
+            const target = state.editTarget;
+            if (!target) return;
+
+            const submitBtn = document.getElementById('submit-edit-btn');
+            const { isThread, targetAddress, parentTxid } = getAmendmentRoute(state, target);
+            const title = isThread ? document.getElementById('edit-title-input').value : '';
+
+            submitBtn.disabled = true;
+            submitBtn.innerHTML = `<div class="loading-spinner"></div> ${window.i18n ? window.i18n.t('misc.publishing') : 'Publishing...'}`;
+
+            try {
+                const parts = await splitMessageForPublication(document.getElementById('edit-message-input').value);
+                if (!parts) return;
+
+                await publishMessageParts(targetAddress, parts, (part, chunk) => chunk?.index > 0
+                    ? encodeContinuationPart(part, parentTxid, chunk)
+                    : encodePayloadForEdit(target.txid, parentTxid, title, part, chunk));
+
+                state.editTarget = null;
+                showStatus('status.edit_sent_refresh', 'success', 10000);
+            } catch (error) {
+                console.error("Edit publication error:", error);
+                showStatus(error.message || (window.i18n ? window.i18n.t('status.transaction_failed') : "Transaction refused/failed."), 'error');
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.innerHTML = window.i18n ? window.i18n.t('modal.edit.submit') : 'Publish edit';
+            }
+        }
+
+        function encodePayloadForEdit(targetTxid, parentTxid, title, message, chunk) {
+            return window.kasterCodec.compressPayload({ parentTxid, title, message, extensions: { edit: { targetTxid }, chunk } });
+        }
+
+        async function handleRetraction(state, message) {
+            if (!message || !canEditMessage(state, message)) {
+                showStatus('status.retract_not_allowed', 'error');
+                return;
+            }
+            if (!confirm(window.i18n ? window.i18n.t('confirm.retract_message') : 'Withdraw this message? It stays on the blockDAG, but compatible clients will collapse it.')) return;
+
+            const { targetAddress, parentTxid } = getAmendmentRoute(state, message);
+            try {
+                await publishMessageParts(targetAddress, [''], () => encodePayloadForRetraction(message.txid, parentTxid));
+                showStatus('status.retraction_sent_refresh', 'success', 10000);
+            } catch (error) {
+                console.error("Retraction publication error:", error);
+                showStatus(error.message || (window.i18n ? window.i18n.t('status.transaction_failed') : "Transaction refused/failed."), 'error');
             }
         }
 
+        function encodePayloadForRetraction(targetTxid, parentTxid) {
+            return window.kasterCodec.compressPayload({ parentTxid, message: '', extensions: { retraction: { targetTxid } } });
+        }
+
         async function handleThreadAction(e, state) {
             const button = e.target.closest('button'); if (!button) return;
             const action = button.dataset.action, authorAddress = state.threadData.sender_address, txid = state.threadData.txid;
@@ -3337,6 +6120,15 @@
                         setTimeout(() => window.location.href = '/', 2000);
                     }
                     break;
+                case 'edit':
+                    openEditModal(state, state.threadData);
+                    break;
+                case 'retract':
+                    await handleRetraction(state, state.threadData);
+                    break;
+                case 'quote':
+                    startQuote(state, state.threadData);
+                    break;
                 case 'donate':
                     if (!state.isConnected) { showStatus("status.connect_wallet_for_donation", 'error'); return; }
                     const amountStr = prompt(window.i18n ? window.i18n.t('confirm.donation_amount') : "Donation amount in KAS?", "1");
@@ -3383,6 +6175,26 @@
                         setTimeout(() => window.location.reload(), 2000);
                     }
                     break;
+                case 'edit':
+                    openEditModal(state, state.replies.find(reply => reply.txid === button.dataset.replyTxid));
+                    break;
+                case 'retract':
+                    await handleRetraction(state, state.replies.find(reply => reply.txid === button.dataset.replyTxid));
+                    break;
+                case 'reply-to':
+                    setReplyTarget(state, state.replies.find(reply => reply.txid === button.dataset.replyTxid));
+                    break;
+                case 'quote':
+                    startQuote(state, state.replies.find(reply => reply.txid === button.dataset.replyTxid));
+                    break;
+                case 'toggle-branch':
+                    const childrenDiv = button.nextElementSibling;
+                    updateBranchToggle(button, childrenDiv.classList.toggle('d-none'));
+                    break;
+                case 'react':
+                case 'toggle-reaction-picker':
+                    await handleReactionAction(e, state);
+                    break;
                 case 'donate':
                     const donateAddress = button.dataset.replyAddress;
                     if (!state.isConnected) { showStatus("status.connect_wallet_for_donation", 'error'); return; }
@@ -3398,6 +6210,220 @@
             }
         }
 
+        // =================================================================
+        // --- Reactions ---
+        // A reaction is a compact transaction (target txid + emoji code, no text) routed
+        // like an edit. Each address counts once per message: its latest reaction wins.
+        // =================================================================
+
+        // Reaction tallies for a set of messages, from the reactions cached in kasterDB.
+        // Hidden reaction transactions and blacklisted reactors are left out.
+        async function loadReactionTallies(targetTxids) {
+            try {
+                const [records, blacklistedWallets, hiddenMessages] = await Promise.all([
+                    window.kasterDB.getReactionsForTargets(targetTxids),
+                    window.kasterDB.getBlacklistedWallets(),
+                    window.kasterDB.getHiddenMessages()
+                ]);
+                return window.kasterCodec.tallyReactions(records, {
+                    excludedAddresses: new Set(blacklistedWallets),
+                    excludedTxids: new Set(hiddenMessages)
+                });
+            } catch (e) {
+                console.warn('Error loading reactions:', e);
+                return new Map();
+            }
+        }
+
+        // Read-only counts shown on thread cards
+        function createReactionSummary(tally) {
+            const summary = document.createElement('span');
+            summary.className = 'reaction-summary';
+            summary.textContent = Object.entries(tally.counts).map(([emoji, count]) => `${emoji} ${count}`).join('  ');
+            return summary;
+        }
+
+        // Fills every `.reaction-bar[data-target-txid]` of the thread page
+        async function renderReactions(state) {
+            const bars = Array.from(document.querySelectorAll('.reaction-bar[data-target-txid]'));
+            const tallies = await loadReactionTallies(bars.map(bar => bar.dataset.targetTxid));
+            bars.forEach(bar => fillReactionBar(bar, tallies.get(bar.dataset.targetTxid), state));
+        }
+
+        function fillReactionBar(bar, tally, state) {
+            const targetTxid = bar.dataset.targetTxid;
+            const ownReaction = tally?.byAddress.get(state.userAddress);
+            bar.replaceChildren();
+
+            Object.entries(tally?.counts || {}).forEach(([emoji, count]) => {
+                bar.appendChild(createReactionButton(targetTxid, emoji, `${emoji} ${count}`, emoji === ownReaction, state));
+            });
+
+            if (!state.isConnected) return;
+
+            const addButton = document.createElement('button');
+            addButton.type = 'button';
+            addButton.className = 'reaction-chip reaction-add';
+            addButton.dataset.action = 'toggle-reaction-picker';
+            addButton.title = window.i18n ? window.i18n.t('thread.actions.react') : 'React';
+            addButton.textContent = '☺+';
+
+            const picker = document.createElement('span');
+            picker.className = 'reaction-picker d-none';
+            Object.values(window.kasterCodec.REACTION_EMOJIS).forEach(emoji => {
+                picker.appendChild(createReactionButton(targetTxid, emoji, emoji, emoji === ownReaction, state));
+            });
+
+            bar.append(addButton, picker);
+        }
+
+        function createReactionButton(targetTxid, emoji, label, isOwn, state) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `reaction-chip${isOwn ? ' own' : ''}`;
+            button.dataset.action = 'react';
+            button.dataset.emoji = emoji;
+            button.dataset.targetTxid = targetTxid;
+            button.disabled = !state.isConnected || isOwn;
+            button.textContent = label;
+            return button;
+        }
+
+        async function handleReactionAction(e, state) {
+            const button = e.target.closest('button'); if (!button) return;
+            switch (button.dataset.action) {
+                case 'toggle-reaction-picker':
+                    button.nextElementSibling?.classList.toggle('d-none');
+                    break;
+                case 'react':
+                    await handleReaction(state, button.dataset.targetTxid, button.dataset.emoji);
+                    break;
+            }
+        }
+
+        async function handleReaction(state, targetTxid, emoji) {
+            if (!state.isConnected) { showStatus('status.connect_wallet_to_react', 'error'); return; }
+            const target = targetTxid === state.threadTxid ? state.threadData : state.replies.find(reply => reply.txid === targetTxid);
+            if (!target) return;
+
+            const { targetAddress, parentTxid } = getAmendmentRoute(state, target);
+            try {
+                const txid = await publishMessageParts(targetAddress, [''], () => encodePayloadForReaction(targetTxid, parentTxid, emoji));
+                if (txid) {
+                    // Counted right away; the same record comes back from the API later
+                    await window.kasterDB.cacheReactions([{ txid, targetTxid, emoji, sender_address: state.userAddress, block_time: new Date().toISOString() }]);
+                    await renderReactions(state);
+                }
+                showStatus('status.reaction_sent', 'success');
+            } catch (error) {
+                console.error("Reaction publication error:", error);
+                showStatus(error.message || (window.i18n ? window.i18n.t('status.transaction_failed') : "Transaction refused/failed."), 'error');
+            }
+        }
+
+        function encodePayloadForReaction(targetTxid, parentTxid, emoji) {
+            return window.kasterCodec.encodePayload({ parentTxid, extensions: { reaction: { targetTxid, emoji } } });
+        }
+
+        // =================================================================
+        // --- Polls ---
+        // A poll is a thread whose message is the question. Votes are sent to the poll
+        // author like replies; the tally only uses chain data (see kasterCodec.tallyPoll),
+        // so local filters do not apply to it.
+        // =================================================================
+        async function renderPoll(state) {
+            const container = document.getElementById('thread-poll');
+            const thread = state.threadData;
+            container.replaceChildren();
+            if (!thread.extensions?.poll) return;
+
+            let records = [];
+            try {
+                records = await window.kasterDB.getPollVotes(thread.txid);
+            } catch (e) {
+                console.warn('Error loading poll votes:', e);
+            }
+
+            const tally = window.kasterCodec.tallyPoll(thread, records);
+            const closed = !!tally.closesAt && Date.now() > tally.closesAt * 1000;
+            const ownVote = tally.byAddress.get(state.userAddress);
+
+            tally.options.forEach(({ label, votes }, index) => {
+                const percent = tally.totalVotes > 0 ? Math.round(votes * 100 / tally.totalVotes) : 0;
+
+                const row = document.createElement('div');
+                row.className = `poll-option${index === ownVote ? ' own' : ''}`;
+
+                const header = document.createElement('div');
+                header.className = 'poll-option-header';
+                const labelSpan = document.createElement('span');
+                labelSpan.textContent = label;
+                const countSpan = document.createElement('span');
+                countSpan.className = 'poll-option-count';
+                countSpan.textContent = `${votes} (${percent}%)`;
+                header.append(labelSpan, countSpan);
+
+                const track = document.createElement('div');
+                track.className = 'poll-bar-track';
+                const fill = document.createElement('div');
+                fill.className = 'poll-bar-fill';
+                fill.style.width = `${percent}%`;
+                track.appendChild(fill);
+
+                row.append(header, track);
+
+                if (state.isConnected && !closed && index !== ownVote) {
+                    const voteButton = document.createElement('button');
+                    voteButton.type = 'button';
+                    voteButton.className = 'button-secondary-small';
+                    voteButton.dataset.action = 'vote';
+                    voteButton.dataset.option = index;
+                    voteButton.textContent = window.i18n ? window.i18n.t('thread.poll.vote') : 'Vote';
+                    row.appendChild(voteButton);
+                }
+
+                container.appendChild(row);
+            });
+
+            const footer = document.createElement('p');
+            footer.className = 'poll-footer';
+            const parts = [window.i18n ? window.i18n.t('thread.poll.total_votes', { count: tally.totalVotes }) : `${tally.totalVotes} vote(s)`];
+            if (tally.closesAt) {
+                const date = new Date(tally.closesAt * 1000).toLocaleString(window.i18n?.currentLang === 'en' ? 'en-US' : 'fr-FR');
+                const key = closed ? 'thread.poll.closed_at' : 'thread.poll.closes_at';
+                parts.push(window.i18n ? window.i18n.t(key, { date }) : `${closed ? 'Closed' : 'Closes'} ${date}`);
+            }
+            footer.textContent = parts.join(' · ');
+            container.appendChild(footer);
+        }
+
+        async function handlePollAction(e, state) {
+            const button = e.target.closest('button[data-action="vote"]'); if (!button) return;
+            await handlePollVote(state, Number(button.dataset.option));
+        }
+
+        async function handlePollVote(state, option) {
+            if (!state.isConnected) { showStatus('status.connect_wallet_to_vote', 'error'); return; }
+            const poll = state.threadData;
+
+            try {
+                const txid = await publishMessageParts(poll.sender_address, [''], () => encodePayloadForVote(poll.txid, option));
+                if (txid) {
+                    // Counted right away; the same record comes back from the API later
+                    await window.kasterDB.cachePollVotes([{ txid, pollTxid: poll.txid, option, sender_address: state.userAddress, block_time: new Date().toISOString() }]);
+                    await renderPoll(state);
+                }
+                showStatus('status.vote_sent', 'success');
+            } catch (error) {
+                console.error("Vote publication error:", error);
+                showStatus(error.message || (window.i18n ? window.i18n.t('status.transaction_failed') : "Transaction refused/failed."), 'error');
+            }
+        }
+
+        function encodePayloadForVote(pollTxid, option) {
+            return window.kasterCodec.encodePayload({ parentTxid: pollTxid, extensions: { vote: { pollTxid, option } } });
+        }
+
         // =================================================================
         // --- REFRESH FUNCTIONS ---
         // =================================================================
@@ -3417,7 +6443,7 @@
         async function handleRefreshClick(state) {
             // Check if refresh is allowed (adaptive delay based on connection)
             const refreshDelay = getRefreshDelay(state);
-            const canRefresh = !(await window.kasterDB.isCacheValid('threads_list', refreshDelay));
+            const canRefresh = !(await kasterBoards.isThreadListFresh(state.board, refreshDelay));
 
             if (!canRefresh) {
                 showStatus(getRefreshErrorMessage(state), "error");
@@ -3438,7 +6464,7 @@
 
             try {
                 // Invalidate cache to force refresh
-                await window.kasterDB.setCacheMetadata('threads_list', 0);
+                await kasterBoards.invalidateThreadList(state.board);
 
                 // Reload threads
                 await loadAndDisplayThreads(state);
@@ -3459,6 +6485,34 @@
             }
         }
 
+        // Replies may be missing when some reply authors' history was not read back to the thread
+        function renderDiscoveryNotice(discovery) {
+            const notice = document.getElementById('discovery-notice');
+            if (!notice) return;
+            const incomplete = discovery && !discovery.complete;
+            notice.classList.toggle('d-none', !incomplete);
+            if (incomplete) {
+                document.getElementById('discovery-notice-text').textContent = window.i18n
+                    ? window.i18n.t('thread.discovery_incomplete', { count: discovery.pendingAddresses })
+                    : `Some replies may be missing: the history of ${discovery.pendingAddresses} wallet(s) has not been searched back to this discussion yet.`;
+            }
+        }
+
+        // Each load reads a few more history pages: no refresh delay for this one
+        async function handleDiscoveryContinueClick(state) {
+            const button = document.getElementById('discovery-continue-btn');
+            button.disabled = true;
+            try {
+                await window.kasterDB.setCacheMetadata(`thread_${state.threadTxid}`, 0);
+                await loadAndDisplaySingleThread(state);
+            } catch (error) {
+                console.error('Reply discovery error:', error);
+                showStatus("status.refresh_error", "error");
+            } finally {
+                button.disabled = false;
+            }
+        }
+
         async function handleRefreshThreadClick(state) {
             // Check if refresh is allowed (adaptive delay based on connection)
             const refreshDelay = getRefreshDelay(state);
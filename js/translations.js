@@ -26,7 +26,7 @@ window.translations = {
         'index.filters.all_themes': 'Tous les thèmes',
         'index.filters.all_languages': 'Toutes les langues',
         'index.filters.recent': 'Plus récents',
-        'index.filters.priority': 'Priorité',
+        'index.filters.priority': 'Boostés',
         'index.threads_count': 'discussion(s)',
         'index.no_threads': 'Aucune discussion ne correspond à vos critères.',
         'index.loading': 'Chargement des discussions...',
@@ -253,7 +253,166 @@ window.translations = {
         'pagination.first': 'Premier',
         'pagination.last': 'Dernier',
         'pagination.page_info': 'Page {current} sur {total}',
-        'pagination.results_info': 'Affichage de {start} à {end} sur {total} résultats'
+        'pagination.results_info': 'Affichage de {start} à {end} sur {total} résultats',
+
+        // Diagnostics de décodage (mode debug)
+        'debug.title': '🐞 Diagnostics de décodage',
+        'debug.description': 'Transactions dont le payload a été rejeté par le décodeur, regroupées par raison.',
+        'debug.no_rejections': 'Aucune transaction rejetée pour le moment.',
+        'debug.refresh': 'Actualiser',
+        'debug.reset': 'Réinitialiser',
+        'debug.sample': '{txid} — octet {offset}, champ {field}',
+        'debug.reason.empty_payload': 'Payload vide (transaction sans message)',
+        'debug.reason.invalid_hex': 'Hexadécimal invalide',
+        'debug.reason.unsupported_version': 'Version de protocole non supportée',
+        'debug.reason.truncated': 'Payload tronqué',
+        'debug.reason.title_too_long': 'Titre trop long (> 40 octets)',
+        'debug.reason.duplicate_extension': 'Champ d\'extension en double',
+        'debug.reason.invalid_extension': 'Champ d\'extension invalide',
+        'debug.reason.decompression_failed': 'Décompression impossible',
+        'debug.reason.decompressed_too_large': 'Message décompressé trop volumineux',
+
+        // Messages longs (plusieurs transactions)
+        'misc.char_counter_parts': '{count} octets · {parts} transactions',
+        'confirm.publish_parts': 'Ce message sera publié en {count} transactions ({amount} KAS au total). Continuer ?',
+        'confirm.publish_parts_boost': 'Ce message sera publié en {count} transactions ({amount} KAS au total, dont {boost} KAS de boost). Continuer ?',
+        'status.publishing_part': 'Publication de la partie {current}/{total}...',
+        'status.parts_partially_published': 'Seules {sent} parties sur {total} ont été publiées : le message apparaîtra incomplet.',
+        'status.message_too_many_parts': 'Message trop long (plus de {max} transactions).',
+        'meta.incomplete': 'Incomplet',
+        'thread.incomplete_message': '⚠️ Message incomplet : partie(s) {missing} sur {total} introuvable(s) pour le moment.',
+
+        // Compression des messages
+        'misc.char_counter_compressed': '{count}/{max} octets (compressé, {raw} octets bruts)',
+
+        // Mise en forme des messages
+        'richtext.toggle_plain': 'Afficher les messages en texte brut',
+        'richtext.toggle_rich': 'Afficher les messages mis en forme',
+
+        // Modifications par l'auteur
+        'thread.actions.edit': 'Modifier',
+        'meta.edited': 'Modifié',
+        'thread.edited_marker': '✏️ Modifié le {date} · voir l\'historique',
+        'thread.revision_original': 'Original · {date}',
+        'thread.revision_edit': 'Modification {number} · {date}',
+        'modal.edit.title': 'Modifier le message',
+        'modal.edit.notice': 'L\'original reste sur le blockDAG : les clients compatibles affichent votre dernière version et conservent les précédentes dans son historique.',
+        'modal.edit.submit': 'Publier la modification',
+        'status.edit_sent_refresh': '✅ Modification envoyée ! Rafraîchissez la page dans quelques secondes pour la voir.',
+        'status.edit_not_allowed': 'Seul l\'auteur d\'un message peut le modifier.',
+
+        // Retrait par l'auteur
+        'thread.actions.retract': 'Retirer',
+        'thread.actions.reveal': 'Afficher quand même',
+        'thread.retracted_by_author': '🗑️ Retiré par l\'auteur',
+        'thread.retracted_revealed': '🗑️ Retiré par l\'auteur, affiché à votre demande',
+        'confirm.retract_message': 'Retirer ce message ? Il reste sur le blockDAG, mais les clients compatibles le masqueront.',
+        'status.retraction_sent_refresh': '✅ Retrait envoyé ! Rafraîchissez la page dans quelques secondes pour le voir.',
+        'status.retract_not_allowed': 'Seul l\'auteur d\'un message peut le retirer.',
+
+        // Réactions
+        'thread.actions.react': 'Réagir',
+        'status.connect_wallet_to_react': 'Connectez votre portefeuille pour réagir.',
+        'status.reaction_sent': '✅ Réaction envoyée !',
+
+        // Sondages
+        'meta.poll': '📊 Sondage',
+        'modal.new_thread.poll_toggle': '📊 Ajouter un sondage (le message est la question)',
+        'modal.new_thread.poll_options_label': 'Options, une par ligne (2 à 8)',
+        'modal.new_thread.poll_closes_label': 'Clôture (facultative)',
+        'thread.poll.vote': 'Voter',
+        'thread.poll.total_votes': '{count} vote(s)',
+        'thread.poll.closes_at': 'Clôture le {date}',
+        'thread.poll.closed_at': 'Clos le {date}',
+        'status.poll_option_count': 'Un sondage doit proposer entre {min} et {max} options.',
+        'status.poll_option_too_long': 'Chaque option est limitée à {max} octets.',
+        'status.poll_closes_in_past': 'La date de clôture doit être dans le futur.',
+        'status.connect_wallet_to_vote': 'Connectez votre portefeuille pour voter.',
+        'status.vote_sent': '✅ Vote envoyé ! Seul votre dernier vote compte.',
+
+        // Réponses imbriquées
+        'thread.actions.reply': 'Répondre',
+        'thread.replying_to': '↪ Réponse à {address} (les frais vont à cet auteur)',
+        'thread.reply_parent_missing': '↪ En réponse à un message non affiché',
+        'thread.show_branch': '▸ Afficher {count} réponse(s)',
+        'thread.hide_branch': '▾ Masquer {count} réponse(s)',
+        'thread.continue_thread': 'Continuer cette discussion ({count}) →',
+        'thread.show_whole_discussion': '← Afficher toute la discussion',
+
+        // Citations
+        'thread.actions.quote': 'Citer',
+        'thread.quote_source': '{address} a écrit :',
+        'thread.quote_unavailable': 'Message cité indisponible',
+
+        // Mentions
+        'mentions.button_title': 'Mentions',
+        'mentions.title': '🔔 Mentions',
+        'mentions.notice': 'Messages du cache de ce navigateur qui mentionnent votre adresse.',
+        'mentions.empty': 'Personne ne vous a encore mentionné.',
+        'mentions.mark_all_read': 'Tout marquer comme lu',
+
+        // Hashtags
+        'tags.cloud_label': 'Tags :',
+        'tags.clear': 'Afficher toutes les discussions',
+
+        // Boost
+        'modal.new_thread.boost_label': 'Boost',
+        'modal.new_thread.boost_none': 'Sans boost',
+        'confirm.boost': 'Ce boost envoie {amount} KAS au tableau {board} au lieu de {base} KAS. Continuer ?',
+        'meta.boosted': 'Boostée avec {amount} KAS',
+
+        // Thèmes personnalisés
+        'theme.other': 'Autre…',
+        'modal.new_thread.custom_theme_placeholder': 'Votre thème',
+
+        // Tableaux (boards)
+        'boards.all': 'Tous les tableaux',
+        'boards.manage_title': 'Gérer les tableaux',
+        'boards.title': '🗂️ Tableaux',
+        'boards.notice': 'Un tableau est une adresse à laquelle les discussions sont envoyées. Les tableaux que vous ajoutez sont conservés dans ce navigateur.',
+        'boards.name_label': 'Nom',
+        'boards.address_label': 'Adresse',
+        'boards.add_button': 'Ajouter le tableau',
+        'boards.added': 'Tableau ajouté',
+        'boards.built_in': 'Intégré',
+        'boards.remove': 'Retirer',
+        'boards.confirm_remove': 'Retirer le tableau « {name} » de votre liste ?',
+        'boards.name_required': 'Donnez un nom au tableau.',
+        'boards.invalid_address': 'Ce n\'est pas une adresse kaspa: valide.',
+        'boards.already_added': 'Ce tableau est déjà dans la liste.',
+        'modal.new_thread.board_label': 'Tableau',
+
+        // Points d'accès API
+        'api.button_title': 'Points d\'accès API',
+        'api.title': '⚙️ Points d\'accès API',
+        'api.notice': 'Instances de l\'API REST Kaspa, essayées dans cet ordre. Un point d\'accès en échec est ignoré un moment et le suivant est utilisé.',
+        'api.add_button': 'Ajouter',
+        'api.reset_button': 'Rétablir les valeurs par défaut',
+        'api.check_button': 'Tout vérifier',
+        'api.invalid_endpoint': 'Adresse invalide : https://… (http:// uniquement pour localhost).',
+        'api.no_endpoint': 'Gardez au moins un point d\'accès API.',
+        'api.move_up': 'Préférer ce point d\'accès',
+        'api.remove': 'Retirer',
+        'api.status_up': 'Disponible',
+        'api.status_down': 'En échec, ignoré pour le moment',
+        'api.status_unknown': 'Pas encore contacté',
+
+        // Historique ancien
+        'backfill.button': '📜 Plus anciens',
+        'backfill.title': 'Charger les discussions antérieures aux 200 dernières transactions',
+        'status.backfilling': 'Chargement de l\'historique...',
+        'status.backfill_done': 'Historique chargé : {count} discussion(s) plus ancienne(s)',
+        'error.backfill_failed': 'Chargement de l\'historique interrompu. Cliquez à nouveau pour reprendre.',
+
+        // Recherche des réponses
+        'thread.discovery_incomplete': 'Des réponses peuvent manquer : l\'historique de {count} portefeuille(s) n\'a pas encore été parcouru jusqu\'à cette discussion.',
+        'thread.discovery_continue': '🔎 Chercher plus loin',
+
+        // Mode direct
+        'live.button_title': 'Mode direct : nouvelles discussions et réponses affichées dès leur arrivée',
+        'live.enabled': 'Mode direct activé',
+        'live.disabled': 'Mode direct désactivé',
+        'live.new_count': '🆕 {count} nouveau(x)'
     },
     en: {
         // NEW KEYS ADDED FOR FINALIZATION
@@ -280,7 +439,7 @@ window.translations = {
         'index.filters.all_themes': 'All themes',
         'index.filters.all_languages': 'All languages',
         'index.filters.recent': 'Most recent',
-        'index.filters.priority': 'Priority',
+        'index.filters.priority': 'Boosted',
         'index.threads_count': 'thread(s)',
         'index.no_threads': 'No discussions match your criteria.',
         'index.loading': 'Loading discussions...',
@@ -512,6 +671,165 @@ window.translations = {
         'pagination.first': 'First',
         'pagination.last': 'Last',
         'pagination.page_info': 'Page {current} of {total}',
-        'pagination.results_info': 'Showing {start} to {end} of {total} results'
+        'pagination.results_info': 'Showing {start} to {end} of {total} results',
+
+        // Decode diagnostics (debug mode)
+        'debug.title': '🐞 Decode diagnostics',
+        'debug.description': 'Transactions whose payload was rejected by the decoder, grouped by reason.',
+        'debug.no_rejections': 'No rejected transactions so far.',
+        'debug.refresh': 'Refresh',
+        'debug.reset': 'Reset',
+        'debug.sample': '{txid} — byte {offset}, field {field}',
+        'debug.reason.empty_payload': 'Empty payload (transaction without message)',
+        'debug.reason.invalid_hex': 'Invalid hex',
+        'debug.reason.unsupported_version': 'Unsupported protocol version',
+        'debug.reason.truncated': 'Truncated payload',
+        'debug.reason.title_too_long': 'Title too long (> 40 bytes)',
+        'debug.reason.duplicate_extension': 'Duplicate extension field',
+        'debug.reason.invalid_extension': 'Invalid extension field',
+        'debug.reason.decompression_failed': 'Decompression failed',
+        'debug.reason.decompressed_too_large': 'Decompressed message too large',
+
+        // Long messages (several transactions)
+        'misc.char_counter_parts': '{count} bytes · {parts} transactions',
+        'confirm.publish_parts': 'This message will be published as {count} transactions ({amount} KAS in total). Continue?',
+        'confirm.publish_parts_boost': 'This message will be published as {count} transactions ({amount} KAS in total, including a {boost} KAS boost). Continue?',
+        'status.publishing_part': 'Publishing part {current}/{total}...',
+        'status.parts_partially_published': 'Only {sent} of {total} parts were published: the message will appear incomplete.',
+        'status.message_too_many_parts': 'Message too long (more than {max} transactions).',
+        'meta.incomplete': 'Incomplete',
+        'thread.incomplete_message': '⚠️ Incomplete message: part(s) {missing} of {total} not found yet.',
+
+        // Message compression
+        'misc.char_counter_compressed': '{count}/{max} bytes (compressed, {raw} bytes raw)',
+
+        // Message formatting
+        'richtext.toggle_plain': 'Show messages as plain text',
+        'richtext.toggle_rich': 'Show formatted messages',
+
+        // Author edits
+        'thread.actions.edit': 'Edit',
+        'meta.edited': 'Edited',
+        'thread.edited_marker': '✏️ Edited on {date} · view history',
+        'thread.revision_original': 'Original · {date}',
+        'thread.revision_edit': 'Edit {number} · {date}',
+        'modal.edit.title': 'Edit Message',
+        'modal.edit.notice': 'The original stays on the blockDAG: compatible clients display your latest version and keep the previous ones in its history.',
+        'modal.edit.submit': 'Publish edit',
+        'status.edit_sent_refresh': '✅ Edit sent! Refresh the page in a few seconds to see it.',
+        'status.edit_not_allowed': 'Only the author of a message can edit it.',
+
+        // Author retraction
+        'thread.actions.retract': 'Retract',
+        'thread.actions.reveal': 'Show anyway',
+        'thread.retracted_by_author': '🗑️ Retracted by author',
+        'thread.retracted_revealed': '🗑️ Retracted by author, shown on request',
+        'confirm.retract_message': 'Withdraw this message? It stays on the blockDAG, but compatible clients will collapse it.',
+        'status.retraction_sent_refresh': '✅ Retraction sent! Refresh the page in a few seconds to see it.',
+        'status.retract_not_allowed': 'Only the author of a message can retract it.',
+
+        // Reactions
+        'thread.actions.react': 'React',
+        'status.connect_wallet_to_react': 'Connect your wallet to react.',
+        'status.reaction_sent': '✅ Reaction sent!',
+
+        // Polls
+        'meta.poll': '📊 Poll',
+        'modal.new_thread.poll_toggle': '📊 Add a poll (the message is the question)',
+        'modal.new_thread.poll_options_label': 'Options, one per line (2 to 8)',
+        'modal.new_thread.poll_closes_label': 'Closing time (optional)',
+        'thread.poll.vote': 'Vote',
+        'thread.poll.total_votes': '{count} vote(s)',
+        'thread.poll.closes_at': 'Closes on {date}',
+        'thread.poll.closed_at': 'Closed on {date}',
+        'status.poll_option_count': 'A poll needs between {min} and {max} options.',
+        'status.poll_option_too_long': 'Each option is limited to {max} bytes.',
+        'status.poll_closes_in_past': 'The closing time must be in the future.',
+        'status.connect_wallet_to_vote': 'Connect your wallet to vote.',
+        'status.vote_sent': '✅ Vote sent! Only your latest vote counts.',
+
+        // Nested replies
+        'thread.actions.reply': 'Reply',
+        'thread.replying_to': '↪ Replying to {address} (fees go to this author)',
+        'thread.reply_parent_missing': '↪ In reply to a message that is not shown',
+        'thread.show_branch': '▸ Show {count} answer(s)',
+        'thread.hide_branch': '▾ Hide {count} answer(s)',
+        'thread.continue_thread': 'Continue this thread ({count}) →',
+        'thread.show_whole_discussion': '← Show the whole discussion',
+
+        // Quotes
+        'thread.actions.quote': 'Quote',
+        'thread.quote_source': '{address} wrote:',
+        'thread.quote_unavailable': 'Quoted message unavailable',
+
+        // Mentions
+        'mentions.button_title': 'Mentions',
+        'mentions.title': '🔔 Mentions',
+        'mentions.notice': 'Messages of this browser\'s cache that mention your address.',
+        'mentions.empty': 'Nobody has mentioned you yet.',
+        'mentions.mark_all_read': 'Mark all as read',
+
+        // Hashtags
+        'tags.cloud_label': 'Tags:',
+        'tags.clear': 'Show all discussions',
+
+        // Boost
+        'modal.new_thread.boost_label': 'Boost',
+        'modal.new_thread.boost_none': 'No boost',
+        'confirm.boost': 'This boost sends {amount} KAS to the board {board} instead of {base} KAS. Continue?',
+        'meta.boosted': 'Boosted with {amount} KAS',
+
+        // Custom themes
+        'theme.other': 'Other…',
+        'modal.new_thread.custom_theme_placeholder': 'Your theme',
+
+        // Boards
+        'boards.all': 'All boards',
+        'boards.manage_title': 'Manage boards',
+        'boards.title': '🗂️ Boards',
+        'boards.notice': 'A board is an address that discussions are sent to. Boards you add are kept in this browser.',
+        'boards.name_label': 'Name',
+        'boards.address_label': 'Address',
+        'boards.add_button': 'Add board',
+        'boards.added': 'Board added',
+        'boards.built_in': 'Built-in',
+        'boards.remove': 'Remove',
+        'boards.confirm_remove': 'Remove the board "{name}" from your list?',
+        'boards.name_required': 'Give the board a name.',
+        'boards.invalid_address': 'This is not a valid kaspa: address.',
+        'boards.already_added': 'This board is already in the list.',
+        'modal.new_thread.board_label': 'Board',
+
+        // API endpoints
+        'api.button_title': 'API endpoints',
+        'api.title': '⚙️ API endpoints',
+        'api.notice': 'Kaspa REST API instances, tried in this order. An endpoint that fails is skipped for a while and the next one is used.',
+        'api.add_button': 'Add',
+        'api.reset_button': 'Restore defaults',
+        'api.check_button': 'Check all',
+        'api.invalid_endpoint': 'Invalid address: https://... (http:// only for localhost).',
+        'api.no_endpoint': 'Keep at least one API endpoint.',
+        'api.move_up': 'Prefer this endpoint',
+        'api.remove': 'Remove',
+        'api.status_up': 'Available',
+        'api.status_down': 'Failing, skipped for now',
+        'api.status_unknown': 'Not contacted yet',
+
+        // History backfill
+        'backfill.button': '📜 Older',
+        'backfill.title': 'Load discussions older than the last 200 transactions',
+        'status.backfilling': 'Loading history...',
+        'status.backfill_done': 'History loaded: {count} older discussion(s)',
+        'error.backfill_failed': 'History loading interrupted. Click again to resume.',
+
+        // Reply discovery
+        'thread.discovery_incomplete': 'Some replies may be missing: the history of {count} wallet(s) has not been searched back to this discussion yet.',
+        'thread.discovery_continue': '🔎 Search further',
+
+        // Live mode
+        'live.button_title': 'Live mode: new discussions and replies shown as they arrive',
+        'live.enabled': 'Live mode on',
+        'live.disabled': 'Live mode off',
+        'live.new_count': '🆕 {count} new'
     }
 };
\ No newline at end of file
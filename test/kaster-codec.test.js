@@ -0,0 +1,473 @@
+/**
+ * Tests for js/kaster-codec.js: wire format round-trips and rejections, and the rules every
+ * client applies to chain data (edits, retractions, poll tallies, boosts)
+ *
+ *     node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const kasterCodec = require('../js/kaster-codec.js');
+
+const { ROOT_PARENT_TXID, DECODE_ERRORS, MAX_TITLE_BYTES, MAX_MESSAGE_BYTES } = kasterCodec;
+const TXID_A = 'a'.repeat(64);
+const TXID_B = 'b'.repeat(64);
+
+const roundTrip = async (fields) => kasterCodec.decodePayload(kasterCodec.bytesToHex(kasterCodec.encodePayload(fields)));
+
+// Builds a payload by hand, to produce what encodePayload() refuses to write
+function rawPayload({ version = 4, parentTxid = ROOT_PARENT_TXID, theme = '', language = '', priority = 0, title = '', message = new Uint8Array(0), entries = [] }) {
+    const text = (value) => typeof value === 'string' ? new TextEncoder().encode(value) : value;
+    const lengthPrefixed = (value) => {
+        const bytes = text(value);
+        return [bytes.length >> 8, bytes.length & 0xFF, ...bytes];
+    };
+    const bytes = [
+        version,
+        ...kasterCodec.hexToBytes(parentTxid),
+        ...lengthPrefixed(theme),
+        ...lengthPrefixed(language),
+        priority,
+        ...lengthPrefixed(title),
+        ...lengthPrefixed(message)
+    ];
+    entries.forEach(({ type, value }) => bytes.push(type, ...lengthPrefixed(value)));
+    return kasterCodec.bytesToHex(Uint8Array.from(bytes));
+}
+
+const strictError = async (payloadHex) => {
+    const result = await kasterCodec.decodePayloadStrict(payloadHex);
+    assert.equal(result.ok, false);
+    return result.error;
+};
+
+// =================================================================
+// --- Round-trips ---
+// =================================================================
+test('v4 thread round-trip', async () => {
+    const fields = { title: 'Hello', message: 'World', theme: 'general', language: 'en', priority: 3 };
+    const bytes = kasterCodec.encodeThreadPayload(fields);
+    assert.equal(bytes[0], kasterCodec.PROTOCOL_VERSION);
+
+    const decoded = await kasterCodec.decodePayload(kasterCodec.bytesToHex(bytes));
+    assert.deepEqual(decoded, {
+        version: 4, parentTxid: ROOT_PARENT_TXID, ...fields, extensions: {}, unknownFields: []
+    });
+    assert.equal(kasterCodec.getMessageKind(decoded), 'thread');
+});
+
+test('v4 reply round-trip', async () => {
+    const decoded = await kasterCodec.decodePayload(kasterCodec.bytesToHex(kasterCodec.encodeReplyPayload({ message: 'Réponse', parentTxid: TXID_A })));
+    assert.equal(decoded.version, 4);
+    assert.equal(decoded.parentTxid, TXID_A);
+    assert.equal(decoded.message, 'Réponse');
+    assert.equal(kasterCodec.getMessageKind(decoded), 'reply');
+});
+
+test('v5 is only written when there is extension data', async () => {
+    assert.equal(kasterCodec.encodePayload({ message: 'x' })[0], 4);
+    assert.equal(kasterCodec.encodePayload({ message: 'x', extensions: { replyTo: undefined } })[0], 4);
+    assert.equal(kasterCodec.encodePayload({ message: 'x', version: 5 })[0], 5);
+
+    const decoded = await roundTrip({ message: 'x', version: 5 });
+    assert.equal(decoded.version, 5);
+    assert.deepEqual(decoded.extensions, {});
+});
+
+test('every extension type survives a v5 round-trip', async () => {
+    const cases = {
+        chunk: [{ index: 0, total: 3 }, { index: 2, total: 3, rootTxid: TXID_A }],
+        edit: [{ targetTxid: TXID_A }],
+        retraction: [{ targetTxid: TXID_B }],
+        reaction: Object.values(kasterCodec.REACTION_EMOJIS).map(emoji => ({ targetTxid: TXID_A, emoji })),
+        poll: [{ options: ['Yes', 'No'], closesAt: null }, { options: ['Un', 'Deux', 'Trois 🎉'], closesAt: 1893456000 }],
+        vote: [{ pollTxid: TXID_A, option: 0 }, { pollTxid: TXID_B, option: kasterCodec.MAX_POLL_OPTIONS - 1 }],
+        replyTo: [{ targetTxid: TXID_B }],
+        quote: [{ targetTxid: TXID_A, start: 0, end: 12 }, { targetTxid: TXID_A, start: 100, end: 0xFFFF }]
+    };
+
+    for (const [name, values] of Object.entries(cases)) {
+        for (const value of values) {
+            const decoded = await roundTrip({ parentTxid: TXID_B, message: 'body', extensions: { [name]: value } });
+            assert.equal(decoded.version, 5, name);
+            assert.deepEqual(decoded.extensions, { [name]: value }, name);
+        }
+    }
+});
+
+test('several extensions are written in type order and decoded together', async () => {
+    const extensions = { quote: { targetTxid: TXID_A, start: 1, end: 4 }, replyTo: { targetTxid: TXID_B } };
+    const decoded = await roundTrip({ parentTxid: TXID_A, message: 'both', extensions });
+    assert.deepEqual(decoded.extensions, extensions);
+    assert.deepEqual(kasterCodec.encodePayload({ parentTxid: TXID_A, message: 'both', extensions }),
+        kasterCodec.encodePayload({ parentTxid: TXID_A, message: 'both', extensions: { replyTo: extensions.replyTo, quote: extensions.quote } }));
+});
+
+test('unknown extension types are kept verbatim', async () => {
+    const unknownFields = [{ type: 200, value: 'cafe' }];
+    const decoded = await roundTrip({ message: 'future', unknownFields });
+    assert.equal(decoded.version, 5);
+    assert.deepEqual(decoded.unknownFields, unknownFields);
+    assert.deepEqual(kasterCodec.encodePayload({ message: 'future', unknownFields: decoded.unknownFields }),
+        kasterCodec.encodePayload({ message: 'future', unknownFields }));
+});
+
+test('compressed payloads round-trip', async () => {
+    const message = 'Kaspa '.repeat(60);
+    const bytes = await kasterCodec.compressPayload({ parentTxid: TXID_A, message });
+    assert.ok(bytes.length < kasterCodec.encodePayload({ parentTxid: TXID_A, message: 'x' }).length + message.length);
+
+    const decoded = await kasterCodec.decodePayload(kasterCodec.bytesToHex(bytes));
+    assert.equal(decoded.message, message);
+    assert.equal(decoded.extensions.compression, 'deflate-raw');
+
+    // Incompressible bodies are written as plain v4
+    const plain = await kasterCodec.compressPayload({ parentTxid: TXID_A, message: 'abc' });
+    assert.equal(plain[0], 4);
+});
+
+// =================================================================
+// --- Limits ---
+// =================================================================
+test('title and message limits count UTF-8 bytes', async () => {
+    const title = 'é'.repeat(MAX_TITLE_BYTES / 2); // 2 bytes each
+    const message = '😀'.repeat(MAX_MESSAGE_BYTES / 4); // 4 bytes each
+    assert.deepEqual(kasterCodec.validatePayload({ title, message }), []);
+
+    const decoded = await roundTrip({ title, message });
+    assert.equal(decoded.title, title);
+    assert.equal(decoded.message, message);
+
+    assert.deepEqual(kasterCodec.validatePayload({ title: title + 'a', message }).map(error => error.field), ['title']);
+    assert.deepEqual(kasterCodec.validatePayload({ title, message: message + 'a' }).map(error => error.field), ['message']);
+    assert.deepEqual(kasterCodec.validatePayload({ title: 'a'.repeat(MAX_TITLE_BYTES + 1), message: 'a'.repeat(MAX_MESSAGE_BYTES + 1) })
+        .map(error => error.field), ['title', 'message']);
+    assert.throws(() => kasterCodec.encodePayload({ title: '€'.repeat(14) }), /Title too long \(42\/40 bytes\)/);
+});
+
+test('invalid fields are rejected by encodePayload', () => {
+    assert.throws(() => kasterCodec.encodePayload({ parentTxid: 'abc' }), /Parent TXID/);
+    assert.throws(() => kasterCodec.encodePayload({ priority: 256 }), /Priority/);
+    assert.throws(() => kasterCodec.encodePayload({ version: 4, extensions: { replyTo: { targetTxid: TXID_A } } }), /require protocol version 5/);
+    assert.throws(() => kasterCodec.encodePayload({ extensions: { nope: 1 } }), /Unknown extension field/);
+    assert.throws(() => kasterCodec.encodePayload({ extensions: { poll: { options: ['Only one'] } } }), /between 2 and 8 options/);
+    assert.throws(() => kasterCodec.encodePayload({ extensions: { chunk: { index: 1, total: 2 } } }), /root TXID/);
+});
+
+// =================================================================
+// --- Strict decoding ---
+// =================================================================
+test('decodePayloadStrict reports empty, non-hex and unsupported payloads', async () => {
+    assert.equal((await strictError('')).code, DECODE_ERRORS.EMPTY_PAYLOAD);
+    assert.equal((await strictError(null)).code, DECODE_ERRORS.EMPTY_PAYLOAD);
+    assert.equal((await strictError('0g')).code, DECODE_ERRORS.INVALID_HEX);
+    assert.equal((await strictError('abc')).code, DECODE_ERRORS.INVALID_HEX);
+
+    const unsupported = await strictError(rawPayload({ version: 3 }));
+    assert.equal(unsupported.code, DECODE_ERRORS.UNSUPPORTED_VERSION);
+    assert.equal(unsupported.field, 'version');
+});
+
+test('decodePayloadStrict reports truncation with its offset', async () => {
+    const hex = kasterCodec.bytesToHex(kasterCodec.encodeThreadPayload({ title: 'Hello', message: 'World' }));
+    const error = await strictError(hex.slice(0, -2));
+    assert.equal(error.code, DECODE_ERRORS.TRUNCATED);
+    assert.equal(error.field, 'message');
+
+    const header = await strictError(hex.slice(0, 20));
+    assert.equal(header.code, DECODE_ERRORS.TRUNCATED);
+    assert.equal(header.field, 'parentTxid');
+    assert.equal(header.offset, 1);
+});
+
+test('decodePayloadStrict rejects titles over the limit', async () => {
+    const error = await strictError(rawPayload({ title: 'é'.repeat(MAX_TITLE_BYTES / 2) + 'a' }));
+    assert.equal(error.code, DECODE_ERRORS.TITLE_TOO_LONG);
+    assert.equal(error.field, 'title');
+    assert.equal(error.offset, 1 + 32 + 2 + 2 + 1);
+});
+
+test('decodePayloadStrict rejects duplicate and malformed extensions', async () => {
+    const replyTo = { type: 8, value: kasterCodec.hexToBytes(TXID_A) };
+    const duplicate = await strictError(rawPayload({ version: 5, entries: [replyTo, replyTo] }));
+    assert.equal(duplicate.code, DECODE_ERRORS.DUPLICATE_EXTENSION);
+
+    const malformed = await strictError(rawPayload({ version: 5, entries: [{ type: 8, value: Uint8Array.of(1, 2) }] }));
+    assert.equal(malformed.code, DECODE_ERRORS.INVALID_EXTENSION);
+    assert.equal(malformed.field, 'replyTo');
+
+    const chunk = await strictError(rawPayload({ version: 5, entries: [{ type: 1, value: Uint8Array.of(3, 2) }] }));
+    assert.equal(chunk.code, DECODE_ERRORS.INVALID_EXTENSION);
+
+    const truncated = await strictError(rawPayload({ version: 5, entries: [replyTo] }).slice(0, -2));
+    assert.equal(truncated.code, DECODE_ERRORS.TRUNCATED);
+    assert.equal(truncated.field, 'extensionValue');
+});
+
+test('decodePayloadStrict rejects corrupt compressed bodies', async () => {
+    const error = await strictError(rawPayload({ version: 5, message: Uint8Array.of(0xFF, 0xFF, 0xFF), entries: [{ type: 2, value: Uint8Array.of(1) }] }));
+    assert.equal(error.code, DECODE_ERRORS.DECOMPRESSION_FAILED);
+    assert.equal(error.field, 'message');
+
+    const unsupported = await strictError(rawPayload({ version: 5, entries: [{ type: 2, value: Uint8Array.of(9) }] }));
+    assert.equal(unsupported.code, DECODE_ERRORS.INVALID_EXTENSION);
+});
+
+test('decompression is capped at MAX_DECOMPRESSED_MESSAGE_BYTES', async () => {
+    assert.equal(kasterCodec.MAX_DECOMPRESSED_MESSAGE_BYTES, 4000);
+    const compression = { type: 2, value: Uint8Array.of(1) };
+
+    const atLimit = 'a'.repeat(kasterCodec.MAX_DECOMPRESSED_MESSAGE_BYTES);
+    const accepted = await kasterCodec.decodePayloadStrict(rawPayload({ version: 5, message: zlib.deflateRawSync(atLimit), entries: [compression] }));
+    assert.equal(accepted.ok, true);
+    assert.equal(accepted.value.message, atLimit);
+
+    const bomb = zlib.deflateRawSync(Buffer.alloc(1000000, 'a'));
+    assert.ok(bomb.length <= MAX_MESSAGE_BYTES * 3);
+    const error = await strictError(rawPayload({ version: 5, message: bomb, entries: [compression] }));
+    assert.equal(error.code, DECODE_ERRORS.DECOMPRESSED_TOO_LARGE);
+});
+
+test('decodePayload returns null where decodePayloadStrict fails', async () => {
+    assert.equal(await kasterCodec.decodePayload(rawPayload({ version: 3 })), null);
+});
+
+test('hex-encoded payload hex is normalized', async () => {
+    const hex = kasterCodec.bytesToHex(kasterCodec.encodeThreadPayload({ title: 'Hello', message: 'World' }));
+    const doubled = kasterCodec.bytesToHex(new TextEncoder().encode(hex));
+    assert.equal((await kasterCodec.decodePayload(doubled)).title, 'Hello');
+});
+
+// =================================================================
+// --- Multi-part messages ---
+// =================================================================
+test('splitMessage keeps parts under the limit without cutting characters', () => {
+    const message = 'Kaspa est rapide. '.repeat(30) + '🚀'.repeat(150) + ' fin';
+    const parts = kasterCodec.splitMessage(message);
+
+    assert.ok(parts.length > 1);
+    assert.equal(parts.join(''), message);
+    parts.forEach(part => {
+        assert.ok(new TextEncoder().encode(part).length <= MAX_MESSAGE_BYTES);
+        assert.ok(!part.includes('�'));
+    });
+    assert.deepEqual(kasterCodec.splitMessage(''), ['']);
+    assert.deepEqual(kasterCodec.splitMessage('short'), ['short']);
+});
+
+test('splitMessage output reassembles through assembleChunks', async () => {
+    const message = 'Lorem ipsum dolor sit amet, '.repeat(40) + 'é'.repeat(300);
+    const parts = kasterCodec.splitMessage(message);
+    const total = parts.length;
+    const rootTxid = TXID_A;
+    const sender = 'kaspa:sender';
+
+    const root = {
+        ...await kasterCodec.decodePayload(kasterCodec.bytesToHex(kasterCodec.encodeThreadPayload({
+            title: 'Long', message: parts[0], extensions: { chunk: { index: 0, total } }
+        }))),
+        txid: rootTxid, sender_address: sender, block_time: 1000
+    };
+    const continuations = [];
+    for (let index = 1; index < total; index++) {
+        const decoded = await kasterCodec.decodePayload(kasterCodec.bytesToHex(kasterCodec.encodeContinuationPayload({ message: parts[index], index, total, rootTxid })));
+        assert.equal(kasterCodec.getMessageKind(decoded), 'continuation');
+        continuations.push({ ...decoded, txid: `c${index}`, sender_address: sender, block_time: 1000 + index });
+    }
+
+    const assembled = kasterCodec.assembleChunks(root, continuations.slice().reverse());
+    assert.equal(assembled.message, message);
+    assert.equal(assembled.incomplete, false);
+    assert.equal(assembled.partCount, total);
+
+    // A missing part, and a part from another sender, leave the message incomplete
+    const forged = { ...continuations[0], sender_address: 'kaspa:other', message: 'forged' };
+    const partial = kasterCodec.assembleChunks(root, [forged, ...continuations.slice(1)]);
+    assert.equal(partial.incomplete, true);
+    assert.deepEqual(partial.missingParts, [1]);
+    assert.ok(!partial.message.includes('forged'));
+
+    // ...and can be completed once the part shows up
+    assert.equal(kasterCodec.assembleChunks(partial, [continuations[0]]).message, message);
+    assert.equal(kasterCodec.assembleMessages([...continuations, root]).length, 1);
+});
+
+// =================================================================
+// --- Edits ---
+// =================================================================
+const AUTHOR = 'kaspa:author';
+const OTHER = 'kaspa:other';
+
+// A decoded payload enriched as the interface does with the API data
+async function chainMessage(fields, txid, sender_address, block_time) {
+    return { ...await roundTrip(fields), txid, sender_address, block_time };
+}
+
+const txid = (n) => n.toString(16).padStart(64, '0');
+
+test('an edit by the author replaces the body and keeps the revisions', async () => {
+    const original = await chainMessage({ parentTxid: TXID_A, message: 'first' }, txid(1), AUTHOR, 1000);
+    const edit = await chainMessage({ parentTxid: TXID_A, message: 'second', extensions: { edit: { targetTxid: txid(1) } } }, txid(2), AUTHOR, 2000);
+
+    const [edited, ...rest] = kasterCodec.applyEdits([original, edit]);
+    assert.equal(rest.length, 0);
+    assert.equal(edited.txid, txid(1));
+    assert.equal(edited.message, 'second');
+    assert.equal(edited.edited, true);
+    assert.equal(edited.editedAt, 2000);
+    assert.deepEqual(edited.revisions.map(revision => [revision.txid, revision.message]), [[txid(1), 'first'], [txid(2), 'second']]);
+});
+
+test('an edit from another address is ignored', async () => {
+    const original = await chainMessage({ parentTxid: TXID_A, message: 'first' }, txid(1), AUTHOR, 1000);
+    const spoof = await chainMessage({ parentTxid: TXID_A, message: 'spoofed', extensions: { edit: { targetTxid: txid(1) } } }, txid(2), OTHER, 2000);
+
+    const [message, ...rest] = kasterCodec.applyEdits([original, spoof]);
+    assert.equal(rest.length, 0);
+    assert.equal(message.message, 'first');
+    assert.equal(message.edited, undefined);
+});
+
+test('the newest of several edits wins, whatever the order they are read in', async () => {
+    const original = await chainMessage({ parentTxid: TXID_A, message: 'first' }, txid(1), AUTHOR, 1000);
+    const older = await chainMessage({ parentTxid: TXID_A, message: 'second', extensions: { edit: { targetTxid: txid(1) } } }, txid(2), AUTHOR, 2000);
+    const newer = await chainMessage({ parentTxid: TXID_A, message: 'third', extensions: { edit: { targetTxid: txid(1) } } }, txid(3), AUTHOR, 3000);
+
+    const [edited] = kasterCodec.applyEdits([newer, original, older]);
+    assert.equal(edited.message, 'third');
+    assert.deepEqual(edited.revisions.map(revision => revision.message), ['first', 'second', 'third']);
+
+    // Resolving the result again (cached messages) gives the same message
+    assert.deepEqual(kasterCodec.resolveMessages([edited]), [edited]);
+});
+
+// =================================================================
+// --- Retractions ---
+// =================================================================
+test('a retraction from another address leaves the message intact', async () => {
+    const original = await chainMessage({ parentTxid: TXID_A, message: 'kept' }, txid(1), AUTHOR, 1000);
+    const spoof = await chainMessage({ parentTxid: TXID_A, message: '', extensions: { retraction: { targetTxid: txid(1) } } }, txid(2), OTHER, 2000);
+
+    const [message, ...rest] = kasterCodec.applyRetractions([original, spoof]);
+    assert.equal(rest.length, 0);
+    assert.equal(message.retracted, undefined);
+    assert.equal(message.message, 'kept');
+});
+
+test('the author\'s retraction marks the message retracted', async () => {
+    const original = await chainMessage({ parentTxid: TXID_A, message: 'withdrawn' }, txid(1), AUTHOR, 1000);
+    const retraction = await chainMessage({ parentTxid: TXID_A, message: 'reason', extensions: { retraction: { targetTxid: txid(1) } } }, txid(2), AUTHOR, 2000);
+
+    const [message, ...rest] = kasterCodec.applyRetractions([retraction, original]);
+    assert.equal(rest.length, 0);
+    assert.equal(message.retracted, true);
+    assert.equal(message.retractedAt, 2000);
+    assert.equal(message.retractionTxid, txid(2));
+    assert.equal(message.message, 'withdrawn'); // Still available to readers who reveal it
+});
+
+// =================================================================
+// --- Polls ---
+// =================================================================
+const VOTERS = ['kaspa:voter1', 'kaspa:voter2', 'kaspa:voter3'];
+
+async function pollThread(closesAt = null) {
+    return chainMessage({ title: 'Poll', message: 'Which one?', extensions: { poll: { options: ['A', 'B', 'C'], closesAt } } }, txid(100), AUTHOR, 1000);
+}
+
+async function vote(option, sender, blockTime, n) {
+    return kasterCodec.toVoteRecord(await chainMessage({ parentTxid: txid(100), message: '', extensions: { vote: { pollTxid: txid(100), option } } }, txid(n), sender, blockTime));
+}
+
+const counts = (tally) => tally.options.map(option => option.votes);
+
+test('the latest vote of each address is the one counted', async () => {
+    const poll = await pollThread();
+    const records = [
+        await vote(0, VOTERS[0], 2000, 1),
+        await vote(2, VOTERS[0], 4000, 2),
+        await vote(1, VOTERS[0], 3000, 3),
+        await vote(1, VOTERS[1], 2000, 4)
+    ];
+
+    const tally = kasterCodec.tallyPoll(poll, records);
+    assert.deepEqual(counts(tally), [0, 1, 1]);
+    assert.equal(tally.totalVotes, 2);
+    assert.equal(tally.byAddress.get(VOTERS[0]), 2);
+    // Same result whatever the order the records come in
+    assert.deepEqual(counts(kasterCodec.tallyPoll(poll, records.slice().reverse())), [0, 1, 1]);
+});
+
+test('votes published after the closing time are ignored', async () => {
+    const closesAt = 3; // Unix seconds: 3000 ms
+    const poll = await pollThread(closesAt);
+    const tally = kasterCodec.tallyPoll(poll, [
+        await vote(0, VOTERS[0], 2000, 1),
+        await vote(1, VOTERS[0], 3500, 2), // Change of mind too late: the first vote stands
+        await vote(1, VOTERS[1], 3000, 3),
+        await vote(2, VOTERS[2], 5000, 4)
+    ]);
+    assert.deepEqual(counts(tally), [1, 1, 0]);
+    assert.equal(tally.closesAt, closesAt);
+});
+
+test('votes for a missing option or another poll are ignored', async () => {
+    const poll = await pollThread();
+    const outOfRange = await vote(5, VOTERS[0], 2000, 1);
+    const otherPoll = { ...await vote(0, VOTERS[1], 2000, 2), pollTxid: txid(999) };
+    const tally = kasterCodec.tallyPoll(poll, [outOfRange, otherPoll, await vote(2, VOTERS[2], 2000, 3)]);
+    assert.deepEqual(counts(tally), [0, 0, 1]);
+    assert.equal(tally.totalVotes, 1);
+});
+
+test('a poll has between 2 and 8 options', async () => {
+    const options = (count) => Array.from({ length: count }, (_, index) => `Option ${index + 1}`);
+    const errors = (count) => kasterCodec.validatePayload({ title: 'Poll', message: '?', extensions: { poll: { options: options(count) } } });
+
+    assert.equal(kasterCodec.MIN_POLL_OPTIONS, 2);
+    assert.equal(kasterCodec.MAX_POLL_OPTIONS, 8);
+    assert.deepEqual(errors(2), []);
+    assert.deepEqual(errors(8), []);
+    assert.deepEqual(errors(1).map(error => error.field), ['poll']);
+    assert.deepEqual(errors(9).map(error => error.field), ['poll']);
+
+    // Decoders refuse the counts that encoders refuse to write
+    const encodedOptions = (count) => Uint8Array.from([0, 0, 0, 0, count, ...options(count).flatMap(option => [option.length, ...Buffer.from(option)])]);
+    for (const count of [1, 9]) {
+        const error = await strictError(rawPayload({ version: 5, entries: [{ type: 6, value: encodedOptions(count) }] }));
+        assert.equal(error.code, DECODE_ERRORS.INVALID_EXTENSION);
+        assert.equal(error.field, 'poll');
+    }
+    assert.equal((await kasterCodec.decodePayloadStrict(rawPayload({ version: 5, entries: [{ type: 6, value: encodedOptions(8) }] }))).ok, true);
+});
+
+// =================================================================
+// --- Boost ---
+// =================================================================
+test('boostAmountSompi adds one boost unit per priority level', () => {
+    assert.equal(kasterCodec.boostAmountSompi(0), kasterCodec.BASE_AMOUNT_SOMPI);
+    assert.equal(kasterCodec.boostAmountSompi(3), kasterCodec.BASE_AMOUNT_SOMPI + 3 * kasterCodec.BOOST_UNIT_SOMPI);
+});
+
+test('a declared priority is capped by what was paid', () => {
+    assert.equal(kasterCodec.verifyPriority(10, kasterCodec.boostAmountSompi(10)), 10);
+    assert.equal(kasterCodec.verifyPriority(10, kasterCodec.boostAmountSompi(4)), 4);
+    assert.equal(kasterCodec.verifyPriority(10, kasterCodec.boostAmountSompi(4) + kasterCodec.BOOST_UNIT_SOMPI - 1), 4);
+    assert.equal(kasterCodec.verifyPriority(2, kasterCodec.boostAmountSompi(9)), 2); // Overpaying does not raise it
+});
+
+test('no payment gives priority 0', () => {
+    assert.equal(kasterCodec.verifyPriority(50, 0), 0);
+    assert.equal(kasterCodec.verifyPriority(50, kasterCodec.BASE_AMOUNT_SOMPI), 0);
+    assert.equal(kasterCodec.verifyPriority(50, kasterCodec.BASE_AMOUNT_SOMPI - 1), 0);
+    assert.equal(kasterCodec.verifyPriority(50, 'not a number'), 0);
+});
+
+test('MAX_PRIORITY is a hard cap', () => {
+    const paid = kasterCodec.boostAmountSompi(kasterCodec.MAX_PRIORITY * 2);
+    assert.equal(kasterCodec.MAX_PRIORITY, 255);
+    assert.equal(kasterCodec.verifyPriority(kasterCodec.MAX_PRIORITY, paid), kasterCodec.MAX_PRIORITY);
+    assert.equal(kasterCodec.verifyPriority(1000, paid), kasterCodec.MAX_PRIORITY);
+});
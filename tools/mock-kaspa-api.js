@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+/**
+ * =======================================================================================
+ * Kaster Protocol - Mock Kaspa REST API
+ * =======================================================================================
+ * Serves the Kaspa REST endpoints used by the interface from JSON fixtures, so that the
+ * whole app can be exercised offline:
+ *
+ *     GET  /addresses/{address}/full-transactions-page?limit=&before=&after=
+ *     GET  /transactions/{txid}
+ *     GET  /info/health
+ *     POST /mock/transactions       adds a transaction (fixture entry) to the chain
+ *     WS   ws://localhost:8081      wRPC (JSON) stand-in for live mode: answers
+ *                                   subscribeUtxosChanged and sends a utxosChangedNotification
+ *                                   whenever a transaction added to the chain pays a
+ *                                   subscribed address (POST, scenario event)
+ *
+ * Usage (Node 20.12 or later, no dependencies):
+ *
+ *     node tools/mock-kaspa-api.js [--port 8081] [--fixtures tools/fixtures/demo.json]
+ *                                  [--scenario tools/scenarios/new-reply.json]
+ *
+ * then add http://localhost:8081 as API endpoint (⚙️ settings or js/kaster-config.js), and
+ * ws://localhost:8081 as `liveEndpoint` for live mode.
+ *
+ * A fixture file is { "transactions": [...] }. An entry is either a transaction as the
+ * Kaspa API returns it (see tools/record-fixtures.js), or a Kaster message encoded at load
+ * time with js/kaster-codec.js:
+ *
+ *     { "ref": "welcome", "from": "kaspa:...", "to": "kaspa:...", "minutesAgo": 90,
+ *       "kaster": { "title": "Hello", "message": "World", "theme": "general", "language": "en" } }
+ *
+ * `parentRef` points a reply at the entry with that `ref`; `amount` (sompi) defaults to
+ * the protocol base amount; `block_time` (ms) can replace `minutesAgo` (default: now);
+ * without a `txid` one is derived from the entry, so fixtures give the same txids on
+ * every run.
+ *
+ * A scenario scripts the server behaviour (see tools/scenarios/):
+ *
+ *     { "latencyMs": 0,
+ *       "rules": [{ "path": "regex", "status": 429, "retryAfter": 2, "delayMs": 0, "times": 3 }],
+ *       "events": [{ "afterMs": 15000, "transaction": { fixture entry } }] }
+ *
+ * The first rule whose `path` matches the request (and whose `times` is not used up)
+ * applies: it delays the response by `delayMs` and, with a `status`, answers with it.
+ * Events add transactions to the chain once the server has run for `afterMs`.
+ * =======================================================================================
+ */
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const kasterCodec = require('../js/kaster-codec.js');
+
+const DEFAULT_PORT = 8081;
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'demo.json');
+const MAX_PAGE_SIZE = 500;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+    return args;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// =================================================================
+// --- Chain ---
+// Transactions in memory, in the shape of the Kaspa API. Emits 'transaction' for
+// each transaction added.
+// =================================================================
+class MockChain extends EventEmitter {
+    constructor(startedAt = Date.now()) {
+        super();
+        this.startedAt = startedAt;
+        this.transactions = new Map();
+        this.refs = new Map(); // Fixture `ref` -> txid
+        this.blueScore = 1000;
+    }
+
+    // Adds a fixture entry (raw API transaction or Kaster shorthand); returns the transaction
+    add(entry) {
+        const tx = entry.kaster ? this._fromKasterEntry(entry) : { ...entry };
+        if (!tx.transaction_id) throw new Error('Transaction without transaction_id');
+        if (tx.accepting_block_blue_score === undefined) tx.accepting_block_blue_score = this.blueScore++;
+        this.transactions.set(tx.transaction_id, tx);
+        if (entry.ref) this.refs.set(entry.ref, tx.transaction_id);
+        this.emit('transaction', tx);
+        return tx;
+    }
+
+    _fromKasterEntry(entry) {
+        const fields = { ...entry.kaster };
+        if (entry.parentRef) {
+            fields.parentTxid = this.refs.get(entry.parentRef);
+            if (!fields.parentTxid) throw new Error(`Unknown parentRef "${entry.parentRef}"`);
+        }
+        const payload = kasterCodec.bytesToHex(kasterCodec.encodePayload(fields));
+        const blockTime = entry.block_time ?? (entry.minutesAgo !== undefined ? this.startedAt - entry.minutesAgo * 60000 : Date.now());
+        const txid = entry.txid || crypto.createHash('sha256')
+            .update(JSON.stringify([entry.ref || null, entry.from, entry.to, payload, entry.minutesAgo ?? entry.block_time ?? this.transactions.size]))
+            .digest('hex');
+
+        return {
+            transaction_id: txid,
+            hash: txid,
+            payload,
+            block_time: blockTime,
+            is_accepted: true,
+            inputs: [{ previous_outpoint_address: entry.from, previous_outpoint_amount: 100000000 }],
+            outputs: [
+                { script_public_key_address: entry.to, amount: entry.amount ?? kasterCodec.BASE_AMOUNT_SOMPI },
+                { script_public_key_address: entry.from, amount: 50000000 }
+            ]
+        };
+    }
+
+    // Transactions paying or spent by an address, newest first
+    history(address) {
+        return Array.from(this.transactions.values())
+            .filter(tx => tx.outputs?.some(output => output.script_public_key_address === address) ||
+                tx.inputs?.some(input => input.previous_outpoint_address === address))
+            .sort((a, b) => b.block_time - a.block_time);
+    }
+
+    // One page of an address history, as /full-transactions-page serves it
+    page(address, { limit, before, after }) {
+        let transactions = this.history(address);
+        if (before) transactions = transactions.filter(tx => tx.block_time < before);
+        if (after) transactions = transactions.filter(tx => tx.block_time > after).slice(-limit); // The oldest ones after the cursor
+        const page = transactions.slice(0, limit);
+        return {
+            page,
+            nextBefore: page.length === limit ? page[page.length - 1].block_time : null,
+            nextAfter: page.length > 0 ? page[0].block_time : null
+        };
+    }
+}
+
+// =================================================================
+// --- Scenario ---
+// =================================================================
+class Scenario {
+    constructor(definition = {}) {
+        this.latencyMs = definition.latencyMs || 0;
+        this.rules = (definition.rules || []).map(rule => ({ ...rule, pattern: new RegExp(rule.path || '.') }));
+        this.events = definition.events || [];
+    }
+
+    match(requestPath) {
+        const rule = this.rules.find(candidate => candidate.pattern.test(requestPath) && (candidate.times === undefined || candidate.times > 0));
+        if (rule && rule.times !== undefined) rule.times--;
+        return rule || null;
+    }
+
+    schedule(chain, log) {
+        this.events.forEach(event => {
+            setTimeout(() => {
+                try {
+                    const tx = chain.add(event.transaction);
+                    log(`⏰ Scenario event: transaction ${tx.transaction_id.substring(0, 10)}... added`);
+                } catch (error) {
+                    log(`⚠️ Scenario event failed: ${error.message}`);
+                }
+            }, event.afterMs || 0).unref();
+        });
+    }
+}
+
+// =================================================================
+// --- Server ---
+// =================================================================
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'X-Next-Page-Before, X-Next-Page-After, Retry-After'
+};
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS, ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function createMockServer({ chain, scenario = new Scenario(), log = console.log }) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+
+        const rule = scenario.match(url.pathname);
+        const delayMs = scenario.latencyMs + (rule?.delayMs || 0);
+        if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+        if (rule?.status) {
+            log(`🎭 ${req.method} ${url.pathname} -> ${rule.status} (scenario)`);
+            sendJson(res, rule.status, { detail: 'Scenario response' }, rule.retryAfter !== undefined ? { 'Retry-After': String(rule.retryAfter) } : {});
+            return;
+        }
+
+        try {
+            let match;
+            if (req.method === 'GET' && (match = url.pathname.match(/^\/addresses\/([^/]+)\/full-transactions-page$/))) {
+                const address = decodeURIComponent(match[1]);
+                const limit = Math.min(Number(url.searchParams.get('limit')) || 50, MAX_PAGE_SIZE);
+                const { page, nextBefore, nextAfter } = chain.page(address, {
+                    limit,
+                    before: Number(url.searchParams.get('before')) || 0,
+                    after: Number(url.searchParams.get('after')) || 0
+                });
+                const headers = {};
+                if (nextBefore) headers['X-Next-Page-Before'] = String(nextBefore);
+                if (nextAfter) headers['X-Next-Page-After'] = String(nextAfter);
+                sendJson(res, 200, page, headers);
+            } else if (req.method === 'GET' && (match = url.pathname.match(/^\/transactions\/([0-9a-f]{64})$/i))) {
+                const tx = chain.transactions.get(match[1].toLowerCase());
+                if (tx) sendJson(res, 200, tx);
+                else sendJson(res, 404, { detail: 'Transaction not found' });
+            } else if (req.method === 'GET' && url.pathname === '/info/health') {
+                sendJson(res, 200, { kaspadServers: [{ isSynced: true, isUtxoIndexed: true, kaspadHost: 'mock' }], database: { isSynced: true } });
+            } else if (req.method === 'POST' && url.pathname === '/mock/transactions') {
+                const tx = chain.add(JSON.parse(await readBody(req)));
+                log(`📨 Transaction ${tx.transaction_id.substring(0, 10)}... added`);
+                sendJson(res, 201, tx);
+            } else {
+                sendJson(res, 404, { detail: 'Not found' });
+            }
+        } catch (error) {
+            sendJson(res, 400, { detail: error.message });
+        }
+    });
+}
+
+// =================================================================
+// --- wRPC stand-in ---
+// Just enough of the WebSocket protocol (RFC 6455) and of the Kaspa wRPC JSON
+// messages for live mode: text frames, ping and close.
+// =================================================================
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    const header = length < 126 ? Buffer.from([0x80 | opcode, length])
+        : length < 0x10000 ? Buffer.from([0x80 | opcode, 126, length >> 8, length & 0xFF])
+            : Buffer.concat([Buffer.from([0x80 | opcode, 127]), (() => { const size = Buffer.alloc(8); size.writeBigUInt64BE(BigInt(length)); return size; })()]);
+    return Buffer.concat([header, payload]);
+}
+
+// Complete frames at the start of `buffer`; returns { frames, rest }
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0F;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7F;
+        let headerLength = 2;
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function attachWrpc(server, chain, log = console.log) {
+    const clients = new Set(); // { socket, addresses }
+    const send = (client, message) => client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+
+    chain.on('transaction', tx => {
+        clients.forEach(client => {
+            const added = (tx.outputs || [])
+                .map((output, index) => ({ address: output.script_public_key_address, outpoint: { transactionId: tx.transaction_id, index }, amount: output.amount }))
+                .filter(entry => client.addresses.has(entry.address));
+            if (added.length > 0) send(client, { method: 'utxosChangedNotification', params: { added, removed: [] } });
+        });
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+        const client = { socket, addresses: new Set() };
+        clients.add(client);
+        log(`🔌 wRPC client connected (${clients.size} open)`);
+        let pending = Buffer.alloc(0);
+
+        socket.on('data', data => {
+            const { frames, rest } = decodeFrames(Buffer.concat([pending, data]));
+            pending = rest;
+            frames.forEach(({ opcode, payload }) => {
+                if (opcode === 0x8) {
+                    socket.end(encodeFrame(0x8));
+                } else if (opcode === 0x9) {
+                    socket.write(encodeFrame(0xA, payload));
+                } else if (opcode === 0x1) {
+                    let request;
+                    try {
+                        request = JSON.parse(payload.toString('utf8'));
+                    } catch (e) {
+                        return;
+                    }
+                    const addresses = request.params?.addresses || [];
+                    if (request.method === 'subscribeUtxosChanged') {
+                        addresses.forEach(address => client.addresses.add(address));
+                        log(`📡 wRPC subscription to ${addresses.length} address(es)`);
+                        send(client, { id: request.id, params: {} });
+                    } else if (request.method === 'unsubscribeUtxosChanged') {
+                        addresses.forEach(address => client.addresses.delete(address));
+                        send(client, { id: request.id, params: {} });
+                    } else {
+                        send(client, { id: request.id, error: { message: `Method not supported by the mock: ${request.method}` } });
+                    }
+                }
+            });
+        });
+        const close = () => clients.delete(client);
+        socket.on('close', close);
+        socket.on('error', close);
+    });
+    return clients;
+}
+
+function loadFixtures(chain, file) {
+    const { transactions = [] } = readJson(file);
+    transactions.forEach(entry => chain.add(entry));
+    return transactions.length;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const port = Number(args.port) || DEFAULT_PORT;
+    const chain = new MockChain();
+    const fixtures = args.fixtures || DEFAULT_FIXTURES;
+    const count = loadFixtures(chain, fixtures);
+    const scenario = new Scenario(args.scenario ? readJson(args.scenario) : {});
+    scenario.schedule(chain, console.log);
+
+    const server = createMockServer({ chain, scenario });
+    attachWrpc(server, chain);
+    server.listen(port, () => {
+        console.log(`🧪 Mock Kaspa API on http://localhost:${port}, wRPC on ws://localhost:${port} (${count} transactions from ${path.relative(process.cwd(), fixtures)}${args.scenario ? `, scenario ${args.scenario}` : ''})`);
+    });
+}
+
+module.exports = { MockChain, Scenario, createMockServer, attachWrpc, loadFixtures };
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * =======================================================================================
+ * Kaster Protocol - Fixture Recorder
+ * =======================================================================================
+ * Snapshots real Kaspa API responses into a fixture file for tools/mock-kaspa-api.js:
+ *
+ *     node tools/record-fixtures.js --address kaspa:... [--address kaspa:...]
+ *                                   [--transaction <txid>] [--pages 1]
+ *                                   [--api https://api.kaspa.org] [--out tools/fixtures/recorded.json]
+ *
+ * Each address is read `--pages` pages back (200 transactions per page); transactions
+ * given with --transaction are fetched one by one. Transactions already in the output
+ * file are kept, so several runs can build one fixture.
+ * =======================================================================================
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const PAGE_SIZE = 200;
+const REQUEST_INTERVAL_MS = 350; // Stay well under the public API rate limits
+
+function parseArgs(argv) {
+    const args = { address: [], transaction: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2), value = argv[++i];
+        if (Array.isArray(args[key])) args[key].push(value);
+        else args[key] = value;
+    }
+    return args;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function getJson(api, requestPath) {
+    await wait(REQUEST_INTERVAL_MS);
+    const response = await fetch(`${api}${requestPath}`);
+    if (!response.ok) throw new Error(`${requestPath}: ${response.status} ${response.statusText}`);
+    return { body: await response.json(), headers: response.headers };
+}
+
+async function recordAddress(api, address, pages, record) {
+    let before = null;
+    for (let page = 0; page < pages; page++) {
+        const cursor = before ? `&before=${before}` : '';
+        const { body, headers } = await getJson(api, `/addresses/${address}/full-transactions-page?limit=${PAGE_SIZE}${cursor}&resolve_previous_outpoints=light`);
+        body.forEach(record);
+        console.log(`📥 ${address.substring(0, 15)}... page ${page + 1}: ${body.length} transactions`);
+        if (body.length < PAGE_SIZE) break;
+        before = Number(headers.get('X-Next-Page-Before')) || Math.min(...body.map(tx => tx.block_time));
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const api = (args.api || 'https://api.kaspa.org').replace(/\/+$/, '');
+    const out = args.out || path.join(__dirname, 'fixtures', 'recorded.json');
+    const pages = Number(args.pages) || 1;
+    if (args.address.length === 0 && args.transaction.length === 0) {
+        console.error('Nothing to record: give at least one --address or --transaction');
+        process.exit(1);
+    }
+
+    const transactions = new Map();
+    if (fs.existsSync(out)) {
+        (JSON.parse(fs.readFileSync(out, 'utf8')).transactions || []).forEach(tx => transactions.set(tx.transaction_id, tx));
+    }
+    const record = tx => transactions.set(tx.transaction_id, tx);
+
+    for (const address of args.address) await recordAddress(api, address, pages, record);
+    for (const txid of args.transaction) {
+        const { body } = await getJson(api, `/transactions/${txid}?resolve_previous_outpoints=light`);
+        record(body);
+        console.log(`📥 Transaction ${txid.substring(0, 10)}...`);
+    }
+
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, `${JSON.stringify({
+        description: `Recorded from ${api} on ${new Date().toISOString()}`,
+        transactions: Array.from(transactions.values()).sort((a, b) => b.block_time - a.block_time)
+    }, null, 2)}\n`);
+    console.log(`💾 ${transactions.size} transactions written to ${path.relative(process.cwd(), out)}`);
+}
+
+main().catch(error => {
+    console.error('Recording failed:', error.message);
+    process.exit(1);
+});